@@ -58,5 +58,9 @@ export default ({ env }) => {
       ...connections[client],
       acquireConnectionTimeout: env.int('DATABASE_CONNECTION_TIMEOUT', 60000),
     },
+    settings: {
+      // database/migrations/*.ts are compiled to dist/ and run from there
+      useTypescriptMigrations: true,
+    },
   };
 };
@@ -8,5 +8,7 @@ export default [
   'strapi::body',
   'strapi::session',
   'strapi::favicon',
+  // Order documents in public/uploads are not served directly
+  'global::private-uploads',
   'strapi::public',
 ];
@@ -1 +1,16 @@
-export default () => ({});
+export default () => ({
+  // Cars and car-details are localized content (en / ja); the locales
+  // themselves are created on bootstrap, see src/index.ts
+  i18n: {
+    enabled: true,
+  },
+  // Buyer accounts: profile fields the site's register form may send along
+  // with email/password (src/extensions/users-permissions)
+  'users-permissions': {
+    config: {
+      register: {
+        allowedFields: ['full_name', 'country', 'whatsapp', 'preferred_currency'],
+      },
+    },
+  },
+});
@@ -4,6 +4,10 @@ export default ({ env }) => ({
   app: {
     keys: env.array('APP_KEYS', ['key1', 'key2', 'key3', 'key4']),
   },
+  // Public URL of this server — makes uploaded media URLs absolute (sitemap)
+  url: env('PUBLIC_URL', ''),
+  // Front end site the sitemap links to
+  frontendUrl: env('FRONTEND_URL', 'http://localhost:5173'),
 });
 
 
@@ -0,0 +1,141 @@
+/**
+ * Moves the paired `*_en` / `*_ja` columns of cars and car-details into
+ * i18n locales: every existing row becomes the `en` entry and gets a `ja`
+ * sibling (same document_id) holding the Japanese values.
+ *
+ * Runs before the schema sync, which then drops the old `*_en` / `*_ja`
+ * columns. Skips any table that has already been migrated.
+ */
+
+import type { Knex } from 'knex';
+
+type Field = { name: string; type: 'string' | 'text' | 'bigInteger' };
+
+type LocalizedTable = {
+  table: string;
+  uid: string;
+  fields: Field[];
+};
+
+const TABLES: LocalizedTable[] = [
+  {
+    table: 'cars',
+    uid: 'api::car.car',
+    fields: [
+      { name: 'title', type: 'string' },
+      { name: 'mileage', type: 'bigInteger' },
+    ],
+  },
+  {
+    table: 'car_details',
+    uid: 'api::car-detail.car-detail',
+    fields: [
+      { name: 'year', type: 'string' },
+      { name: 'location', type: 'string' },
+      { name: 'transmission', type: 'string' },
+      { name: 'shaken', type: 'string' },
+      { name: 'kittsu', type: 'string' },
+      { name: 'fuel', type: 'string' },
+      { name: 'condition', type: 'text' },
+      { name: 'note', type: 'text' },
+      { name: 'specs', type: 'text' },
+      { name: 'description', type: 'text' },
+    ],
+  },
+];
+
+const MEDIA_TABLE = 'files_related_mph';
+const CAR_DETAIL_LINK_TABLE = 'car_details_car_lnk';
+
+/**
+ * Localize one table. Returns a map of old row id -> new `ja` row id.
+ */
+const localizeTable = async (knex: Knex, { table, fields }: LocalizedTable) => {
+  const idMap = new Map<number, number>();
+
+  if (!(await knex.schema.hasTable(table))) return idMap;
+
+  // Only the pairs that actually exist (car-detail fields may never have been synced)
+  const pairs: Field[] = [];
+  for (const field of fields) {
+    if (await knex.schema.hasColumn(table, `${field.name}_en`)) pairs.push(field);
+  }
+  if (pairs.length === 0) return idMap;
+
+  await knex.schema.alterTable(table, (builder) => {
+    pairs.forEach(({ name, type }) => builder[type](name));
+  });
+
+  const rows = await knex(table).select('*');
+
+  for (const row of rows) {
+    const en: Record<string, unknown> = { locale: 'en' };
+    const ja: Record<string, unknown> = { ...row, locale: 'ja' };
+    delete ja.id;
+
+    pairs.forEach(({ name }) => {
+      en[name] = row[`${name}_en`];
+      ja[name] = row[`${name}_ja`];
+    });
+
+    await knex(table).where({ id: row.id }).update(en);
+    const [inserted] = await knex(table).insert(ja).returning('id');
+    idMap.set(row.id, typeof inserted === 'object' ? inserted.id : inserted);
+  }
+
+  return idMap;
+};
+
+/**
+ * Media and relations are stored per row, so copy them onto the new `ja` rows.
+ */
+const copyMedia = async (knex: Knex, uid: string, idMap: Map<number, number>) => {
+  if (idMap.size === 0 || !(await knex.schema.hasTable(MEDIA_TABLE))) return;
+
+  const links = await knex(MEDIA_TABLE)
+    .where({ related_type: uid })
+    .whereIn('related_id', [...idMap.keys()]);
+
+  for (const link of links) {
+    const copy = { ...link, related_id: idMap.get(link.related_id) };
+    delete copy.id;
+    await knex(MEDIA_TABLE).insert(copy);
+  }
+};
+
+const copyCarDetailLinks = async (
+  knex: Knex,
+  carIds: Map<number, number>,
+  detailIds: Map<number, number>
+) => {
+  if (detailIds.size === 0 || !(await knex.schema.hasTable(CAR_DETAIL_LINK_TABLE))) return;
+
+  const links = await knex(CAR_DETAIL_LINK_TABLE).whereIn('car_detail_id', [...detailIds.keys()]);
+
+  for (const link of links) {
+    if (!carIds.has(link.car_id)) continue;
+
+    const copy = {
+      ...link,
+      car_detail_id: detailIds.get(link.car_detail_id),
+      car_id: carIds.get(link.car_id),
+    };
+    delete copy.id;
+    await knex(CAR_DETAIL_LINK_TABLE).insert(copy);
+  }
+};
+
+export async function up(knex: Knex) {
+  const [cars, details] = TABLES;
+
+  const carIds = await localizeTable(knex, cars);
+  const detailIds = await localizeTable(knex, details);
+
+  await copyMedia(knex, cars.uid, carIds);
+  await copyMedia(knex, details.uid, detailIds);
+  await copyCarDetailLinks(knex, carIds, detailIds);
+}
+
+export async function down() {
+  throw new Error('localize-cars cannot be reverted, restore a database backup instead');
+}
@@ -0,0 +1,113 @@
+/**
+ * exchange rate import
+ *
+ * Updates the Exchange Rate single type from a local file, so staff can
+ * paste in a download instead of typing every rate in the admin panel.
+ *
+ * Accepted files:
+ *   - CSV, one `currency,rate` per line (header optional), rate = yen per unit:
+ *       USD,150.25
+ *       PKR,0.53
+ *   - JSON, yen per unit: { "USD": 150.25, "PKR": 0.53 }
+ *   - JSON from a rates API with another base: { "base": "USD", "rates": { "JPY": 150.25, "PKR": 281.4 } }
+ *
+ * Currencies the site does not show are skipped; rates missing from the file
+ * keep their current value.
+ *
+ * Usage: npm run rates:import -- path/to/rates.csv
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createStrapi } from '@strapi/strapi';
+
+// dist/scripts/import-rates.js -> my-strapi/
+const appDir = path.resolve(__dirname, '..', '..');
+const distDir = path.resolve(__dirname, '..');
+
+// Exchange Rate attributes
+const CURRENCIES = ['usd', 'eur', 'aed', 'pkr', 'kes', 'tzs'];
+
+type Rates = Record<string, number>;
+
+const parseCsv = (text: string): Rates => {
+  const rates: Rates = {};
+  text.split(/\r?\n/).forEach((line) => {
+    const [currency, rate] = line.split(',').map((cell) => cell.trim());
+    const value = Number(rate);
+    if (currency && rate && Number.isFinite(value)) rates[currency.toLowerCase()] = value;
+  });
+  return rates;
+};
+
+// Quotes against another base ("1 USD = 281.4 PKR") -> yen per unit
+const parseJson = (text: string): Rates => {
+  const json = JSON.parse(text);
+  const lower = (rates: Record<string, any>) =>
+    Object.fromEntries(Object.entries(rates).map(([currency, rate]) => [currency.toLowerCase(), Number(rate)]));
+
+  if (!json.rates) return lower(json);
+
+  const base = String(json.base || 'JPY').toLowerCase();
+  // APIs leave the base itself out of `rates`
+  const rates = { [base]: 1, ...lower(json.rates) };
+  const yenPerBase = base === 'jpy' ? 1 : rates.jpy;
+  if (!yenPerBase) throw new Error(`No JPY rate for base ${json.base} in the file`);
+
+  return Object.fromEntries(
+    Object.entries(rates)
+      .filter(([, rate]) => rate > 0)
+      .map(([currency, rate]) => [currency, yenPerBase / rate])
+  );
+};
+
+const readRates = (file: string): Rates => {
+  const text = fs.readFileSync(file, 'utf8');
+  return path.extname(file).toLowerCase() === '.json' ? parseJson(text) : parseCsv(text);
+};
+
+async function main() {
+  const file = process.argv[2];
+  if (!file) throw new Error('Usage: npm run rates:import -- path/to/rates.csv');
+
+  // npm runs scripts from my-strapi/; paths are relative to where it was called
+  const parsed = readRates(path.resolve(process.env.INIT_CWD || process.cwd(), file));
+
+  const data: Rates = {};
+  Object.entries(parsed).forEach(([currency, rate]) => {
+    if (CURRENCIES.includes(currency) && Number.isFinite(rate) && rate > 0) {
+      // Decimal column — 6 significant digits is plenty for display prices
+      data[currency] = Number(rate.toPrecision(6));
+    }
+  });
+  const skipped = Object.keys(parsed).filter((currency) => currency !== 'jpy' && !(currency in data));
+
+  if (Object.keys(data).length === 0) throw new Error(`No usable rates in ${file}`);
+
+  const strapi = await createStrapi({ appDir, distDir }).load();
+  strapi.log.level = 'error';
+
+  try {
+    const rates = strapi.documents('api::exchange-rate.exchange-rate');
+    const current = await rates.findFirst();
+    if (current) {
+      await rates.update({ documentId: current.documentId, data: data as any });
+    } else {
+      await rates.create({ data: data as any });
+    }
+
+    console.log('\nExchange rates (yen per unit)');
+    Object.entries(data).forEach(([currency, rate]) => {
+      const previous = current?.[currency] ?? '-';
+      console.log(`  ${currency.toUpperCase()}: ${previous} -> ${rate}`);
+    });
+    if (skipped.length) console.log(`  skipped: ${skipped.join(', ')}`);
+  } finally {
+    await strapi.destroy();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,365 @@
+/**
+ * seed script
+ *
+ * Imports the vehicles hard-coded in the front end (`../src/data/*.js`) into
+ * Strapi: creates or updates every car and its car-detail, and uploads the
+ * images/videos from `../public` to the media library.
+ *
+ * Cars and car-details are localized: the `en` entry is created first and
+ * the `ja` values are stored as its Japanese locale.
+ *
+ * Safe to run again: cars are matched on their English `title`, media files
+ * on their file name, and entries whose fields did not change are left alone.
+ *
+ * Usage: npm run seed
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createStrapi } from '@strapi/strapi';
+import type { Core } from '@strapi/strapi';
+
+// dist/scripts/seed.js -> my-strapi/
+const appDir = path.resolve(__dirname, '..', '..');
+const distDir = path.resolve(__dirname, '..');
+// Front end repo root (src/data + public)
+const frontendDir = path.resolve(appDir, '..');
+
+const MIME_TYPES: Record<string, string> = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+};
+
+type Localized = { en?: string; ja?: string };
+
+const LOCALES = ['en', 'ja'] as const;
+type Locale = (typeof LOCALES)[number];
+
+type Report = {
+  cars: { created: string[]; updated: string[]; unchanged: string[] };
+  media: { uploaded: string[]; reused: string[]; missing: string[] };
+};
+
+// tsc (module: CommonJS) rewrites `import()` into `require()`, which cannot
+// load the front end's ES modules — keep a real dynamic import.
+const importModule = new Function('specifier', 'return import(specifier)') as (
+  specifier: string
+) => Promise<{ default: any }>;
+
+const loadData = async (name: string) => {
+  const file = path.join(frontendDir, 'src', 'data', `${name}.js`);
+  const mod = await importModule(pathToFileURL(file).href);
+  return mod.default as any[];
+};
+
+// Written where the odometer / hour meter is unknown
+const UNKNOWN_READINGS = ['', '-', 'N/A'];
+
+/**
+ * detailData's `mileage` is an odometer reading for vehicles and an hour
+ * meter reading for machinery:
+ * "1,311,547 km" -> { km: 1311547 }, "3,500 hrs" / "3,500時間" -> { hours: 3500 }.
+ * Anything else stops the import instead of being dropped.
+ */
+const parseReading = (value: string | undefined, title: string) => {
+  const text = value?.trim() || '';
+  if (UNKNOWN_READINGS.includes(text)) return { km: null, hours: null };
+
+  const found = text.match(/^([\d,]+)\s*(km|hrs?|hours?|時間)$/i);
+  if (!found) {
+    throw new Error(`Cannot parse mileage "${value}" of "${title}" (expected km or hours)`);
+  }
+  const amount = Number(found[1].replace(/,/g, ''));
+  return /km/i.test(found[2]) ? { km: amount, hours: null } : { km: null, hours: amount };
+};
+
+const match = (text: string | undefined, pattern: RegExp) => {
+  const found = text?.match(pattern);
+  return found ? found[1].trim() : null;
+};
+
+const toNumber = (value: string | null) => (value ? Number(value.replace(/,/g, '')) : null);
+
+const clean = (value?: string) => (value && value.trim() && value.trim() !== '-' ? value.trim() : null);
+
+// Fuel is only written inside the free-text condition block
+const FUEL_PATTERNS: Record<Locale, RegExp> = {
+  en: /Fuel:\s*(.+)/,
+  ja: /燃料:\s*(.+)/,
+};
+
+// Canonical (non-localized) facet values used by the Cars filter sidebar
+const MAKERS: Record<string, string> = { isuzu: 'Isuzu' };
+
+const guessCategory = (title: string) => {
+  if (/excavator/i.test(title)) return 'excavator';
+  if (/hijet/i.test(title)) return 'light_truck';
+  if (/dump/i.test(title)) return 'dump_truck';
+  if (/truck|dutro|profia/i.test(title)) return 'truck';
+  return 'other';
+};
+
+const guessTransmission = (value?: string) => {
+  if (!value) return null;
+  if (/hydraulic/i.test(value)) return 'hydraulic';
+  if (/auto/i.test(value)) return 'automatic';
+  if (/manual/i.test(value)) return 'manual';
+  return null;
+};
+
+const guessMaker = (title: string) => {
+  const first = title.split(/\s+/)[0];
+  return MAKERS[first.toLowerCase()] || first;
+};
+
+/**
+ * Shaken expiry for the valid/expired facets. A date written in the shaken
+ * text wins ("2026-03-31", "2026/3/31", "2026年3月31日"); the sample data only
+ * says "Valid" / "Expired" without one, so those cars get fixed stand-in
+ * dates matching their text. Anything else (N/A, "Check Document", ...) is
+ * unknown and stays null.
+ */
+const SHAKEN_DATES: Record<number, string> = {
+  1: '2028-03-31', // "Valid (check document)"
+  2: '2023-09-30', // "Expired (車検切れ)"
+};
+
+const parseShakenDate = (detail: any) => {
+  const found = `${detail.shaken?.en || ''} ${detail.shaken?.ja || ''}`.match(
+    /(\d{4})\s*[-/年]\s*(\d{1,2})\s*[-/月]\s*(\d{1,2})/
+  );
+  if (found) {
+    const [, year, month, day] = found;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+  return SHAKEN_DATES[detail.id] || null;
+};
+
+// "Osaka, Japan" -> "osaka"
+const guessPrefecture = (location?: string) => clean(location?.split(',')[0])?.toLowerCase() || null;
+
+/**
+ * Merge the three data files (keyed by id) into car + car-detail payloads,
+ * one per locale. detailData is the richest source; homeData/carsData add
+ * the cover image, numeric price and year.
+ */
+const buildVehicles = (detailData: any[], homeData: any[], carsData: any[]) =>
+  detailData.map((detail) => {
+    const home = homeData.find((item) => item.id === detail.id) || {};
+    const listing = carsData.find((item) => item.id === detail.id) || {};
+    const condition: Localized = detail.condition || {};
+
+    const images = [listing.img, home.img, ...(detail.images || [])].filter(Boolean);
+
+    const reading = (locale: Locale) => parseReading(detail.mileage?.[locale], detail.title.en);
+
+    const car = (locale: Locale) => ({
+      title: detail.title[locale],
+      price: listing.price ?? toNumber(match(detail.price, /¥([\d,]+)/)),
+      year: listing.year ?? null,
+      mileage: reading(locale).km,
+      category: guessCategory(detail.title.en),
+      maker: guessMaker(detail.title.en),
+      prefecture: guessPrefecture(detail.location?.en),
+      transmission_type: guessTransmission(detail.transmission?.en),
+      shaken_valid_until: parseShakenDate(detail),
+    });
+
+    const carDetail = (locale: Locale) => ({
+      year: clean(detail.year?.[locale]),
+      location: clean(detail.location?.[locale]),
+      transmission: clean(detail.transmission?.[locale]),
+      shaken: clean(detail.shaken?.[locale]),
+      kittsu: clean(detail.kittsu?.[locale]),
+      condition: clean(condition[locale]),
+      note: clean(detail.note?.[locale]),
+      specs: clean(detail.specs?.[locale]),
+      description: clean(detail.description?.[locale]),
+      chassis_number: match(condition.en, /Chassis No\.:\s*(.+)/),
+      model_code: match(condition.en, /Model:\s*([^\s(]+)/),
+      fuel: match(condition[locale], FUEL_PATTERNS[locale]),
+      weight_kg: toNumber(match(condition.en, /Weight:\s*(?:Around\s*)?([\d,]+)\s*kg/i)),
+      engine_cc: toNumber(match(condition.en, /([\d,]+)\s*cc/i)),
+      hours: reading(locale).hours,
+    });
+
+    return {
+      title: detail.title.en as string,
+      car: { en: car('en'), ja: car('ja') },
+      detail: { en: carDetail('en'), ja: carDetail('ja') },
+      images: [...new Set(images)] as string[],
+      video: (detail.video as string) || null,
+    };
+  });
+
+/**
+ * Upload a file from the front end's `public/` folder, or reuse the media
+ * library entry with the same name. Returns the file id (null if missing).
+ */
+const uploadMedia = async (strapi: Core.Strapi, publicPath: string, report: Report) => {
+  const filepath = path.join(frontendDir, 'public', publicPath);
+  const name = path.basename(publicPath);
+
+  const existing = await strapi.db.query('plugin::upload.file').findOne({ where: { name } });
+  if (existing) {
+    report.media.reused.push(name);
+    return existing.id as number;
+  }
+
+  if (!fs.existsSync(filepath)) {
+    report.media.missing.push(publicPath);
+    return null;
+  }
+
+  const [uploaded] = await strapi.plugin('upload').service('upload').upload({
+    data: { fileInfo: { name, alternativeText: name } },
+    files: {
+      filepath,
+      originalFilename: name,
+      mimetype: MIME_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream',
+      size: fs.statSync(filepath).size,
+    },
+  });
+  report.media.uploaded.push(name);
+  return uploaded.id as number;
+};
+
+const hasChanges = (current: Record<string, any>, next: Record<string, any>) =>
+  Object.keys(next).some((key) => {
+    const value = next[key];
+    if (Array.isArray(value)) {
+      const ids = (current[key] || []).map((file: any) => file.id);
+      return ids.join(',') !== value.join(',');
+    }
+    if (key === 'video') return (current.video?.id ?? null) !== value;
+    // bigintegers come back as strings
+    return String(current[key] ?? '') !== String(value ?? '');
+  });
+
+/**
+ * Create or update one locale of a car and its car-detail. The `en` pass
+ * creates the documents; `ja` is added to them as a second locale.
+ */
+const seedLocale = async (
+  strapi: Core.Strapi,
+  documentIds: { car?: string; detail?: string },
+  carData: Record<string, any>,
+  detailData: Record<string, any>,
+  locale: Locale
+) => {
+  const cars = strapi.documents('api::car.car');
+  const details = strapi.documents('api::car-detail.car-detail');
+
+  const existing: any = documentIds.car
+    ? await cars.findOne({
+        documentId: documentIds.car,
+        locale,
+        populate: { image: true, car_detail: { populate: ['video'] } },
+      })
+    : null;
+
+  let changed = false;
+  let carDocumentId = documentIds.car;
+
+  if (!existing || hasChanges(existing, carData)) {
+    const car = carDocumentId
+      ? await cars.update({ documentId: carDocumentId, locale, data: carData as any, status: 'published' })
+      : await cars.create({ locale, data: carData as any, status: 'published' });
+    carDocumentId = car.documentId;
+    changed = true;
+  }
+
+  const detailDocumentId = documentIds.detail || existing?.car_detail?.documentId;
+
+  if (!existing?.car_detail || hasChanges(existing.car_detail, detailData)) {
+    const data = { ...detailData, car: carDocumentId } as any;
+    const detail = detailDocumentId
+      ? await details.update({ documentId: detailDocumentId, locale, data, status: 'published' })
+      : await details.create({ locale, data, status: 'published' });
+    documentIds.detail = detail.documentId;
+    changed = true;
+  } else {
+    documentIds.detail = detailDocumentId;
+  }
+
+  documentIds.car = carDocumentId;
+  return changed;
+};
+
+const seedVehicle = async (strapi: Core.Strapi, vehicle: ReturnType<typeof buildVehicles>[number], report: Report) => {
+  const imageIds: number[] = [];
+  for (const image of vehicle.images) {
+    const id = await uploadMedia(strapi, image, report);
+    if (id) imageIds.push(id);
+  }
+  const videoId = vehicle.video ? await uploadMedia(strapi, vehicle.video, report) : null;
+
+  const existing = await strapi.documents('api::car.car').findFirst({
+    locale: 'en',
+    filters: { title: vehicle.title },
+  });
+  const documentIds: { car?: string; detail?: string } = { car: existing?.documentId };
+
+  let changed = false;
+  for (const locale of LOCALES) {
+    const carData = { ...vehicle.car[locale], image: imageIds };
+    const detailData = { ...vehicle.detail[locale], video: videoId };
+    changed = (await seedLocale(strapi, documentIds, carData, detailData, locale)) || changed;
+  }
+
+  if (!existing) report.cars.created.push(vehicle.title);
+  else (changed ? report.cars.updated : report.cars.unchanged).push(vehicle.title);
+};
+
+const printReport = (report: Report) => {
+  const section = (label: string, items: string[]) => {
+    console.log(`  ${label}: ${items.length}`);
+    items.forEach((item) => console.log(`    - ${item}`));
+  };
+
+  console.log('\nCars');
+  section('created', report.cars.created);
+  section('updated', report.cars.updated);
+  section('unchanged', report.cars.unchanged);
+  console.log('Media');
+  section('uploaded', report.media.uploaded);
+  console.log(`  reused: ${report.media.reused.length}`);
+  section('missing (not found in public/)', report.media.missing);
+};
+
+async function main() {
+  const [detailData, homeData, carsData] = await Promise.all([
+    loadData('detailData'),
+    loadData('homeData'),
+    loadData('carsData'),
+  ]);
+
+  const strapi = await createStrapi({ appDir, distDir }).load();
+  strapi.log.level = 'error';
+
+  const report: Report = {
+    cars: { created: [], updated: [], unchanged: [] },
+    media: { uploaded: [], reused: [], missing: [] },
+  };
+
+  try {
+    for (const vehicle of buildVehicles(detailData, homeData, carsData)) {
+      await seedVehicle(strapi, vehicle, report);
+    }
+    printReport(report);
+  } finally {
+    await strapi.destroy();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -4,4 +4,35 @@
 
 import { factories } from '@strapi/strapi'
 
-export default factories.createCoreController('api::car.car');
+export default factories.createCoreController('api::car.car', ({ strapi }) => ({
+  // GET /cars/facets — accepts the same `filters` / `locale` as GET /cars
+  async facets(ctx) {
+    await this.validateQuery(ctx);
+    const { filters, locale } = (await this.sanitizeQuery(ctx)) as Record<string, any>;
+
+    const data = await strapi.service('api::car.car').facets({ filters, locale });
+
+    return { data };
+  },
+
+  /**
+   * GET /cars/legacy/:id — numeric row id -> documentId + slug, for redirecting
+   * detail URLs from before the front end switched to documentIds. Every
+   * locale/draft row of a car resolves, as long as the car is published.
+   */
+  async legacy(ctx) {
+    const id = Number(ctx.params.id);
+    if (!Number.isInteger(id) || id < 1) return ctx.badRequest('Invalid id');
+
+    const row = await strapi.db.query('api::car.car').findOne({ where: { id }, select: ['documentId', 'slug'] });
+    if (!row) return ctx.notFound('Car not found');
+
+    const published = await strapi.db.query('api::car.car').findOne({
+      where: { documentId: row.documentId, publishedAt: { $notNull: true } },
+      select: ['id'],
+    });
+    if (!published) return ctx.notFound('Car not found');
+
+    return { data: { documentId: row.documentId, slug: row.slug || null } };
+  },
+}));
@@ -0,0 +1,29 @@
+/**
+ * custom car routes
+ *
+ * Loaded before the core router so `/cars/facets` is not matched as
+ * `/cars/:id`.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/cars/facets',
+      handler: 'api::car.car.facets',
+      config: {
+        // Read-only listing counts, same visibility as the public car list
+        auth: false,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/cars/legacy/:id',
+      handler: 'api::car.car.legacy',
+      config: {
+        // Old front end URLs used numeric ids; resolves them to a documentId
+        auth: false,
+      },
+    },
+  ],
+};
@@ -4,4 +4,191 @@
 
 import { factories } from '@strapi/strapi';
 
-export default factories.createCoreService('api::car.car');
+// Facets counted per value; filter keys are the attribute names
+const VALUE_FACETS = ['category', 'maker', 'prefecture', 'transmission_type'] as const;
+// Facets returned as { min, max } bounds
+const RANGE_FACETS = ['year', 'price'] as const;
+
+type FacetCount = { value: string; count: number };
+
+const countValues = (values: Array<string | null>): FacetCount[] => {
+  const counts = new Map<string, number>();
+  values.forEach((value) => {
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+const shakenStatus = (validUntil: string | null, today: string) => {
+  if (!validUntil) return 'none';
+  return validUntil >= today ? 'valid' : 'expired';
+};
+
+// "Hino Profia (Dump) 2016" -> "hino-profia-dump-2016"
+const slugify = (text: string) =>
+  text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// English title + year, without repeating a year the title already has
+const baseSlug = (title?: string | null, year?: number | null) => {
+  const slug = slugify(title || '');
+  if (!slug) return '';
+  if (!year || slug.split('-').includes(String(year))) return slug;
+  return `${slug}-${year}`;
+};
+
+type SlugParams = { documentId?: string; locale?: string; data?: Record<string, any> };
+
+// Sale statuses after which the car is no longer for sale
+const SOLD_STATUSES = ['sold', 'exported'];
+
+export default factories.createCoreService('api::car.car', ({ strapi }) => ({
+  /**
+   * Counts per facet value for the filter sidebar. Each facet is counted
+   * with every other active filter applied, but not its own, so selecting
+   * a maker still shows how many cars the other makers have.
+   */
+  async facets({ filters = {}, locale }: { filters?: Record<string, any>; locale?: string }) {
+    const today = new Date().toISOString().slice(0, 10);
+
+    const findWithout = (field: string) => {
+      const { [field]: _omitted, ...otherFilters } = filters;
+      return strapi.documents('api::car.car').findMany({
+        locale,
+        status: 'published',
+        filters: otherFilters,
+        fields: [field] as any,
+      });
+    };
+
+    const result: Record<string, any> = {};
+
+    for (const field of VALUE_FACETS) {
+      const cars = await findWithout(field);
+      result[field] = countValues(cars.map((car: any) => car[field]));
+    }
+
+    const shakenCars = await findWithout('shaken_valid_until');
+    result.shaken = countValues(
+      shakenCars.map((car: any) => shakenStatus(car.shaken_valid_until, today))
+    );
+
+    for (const field of RANGE_FACETS) {
+      const values = (await findWithout(field))
+        .map((car: any) => Number(car[field]))
+        .filter((value) => Number.isFinite(value) && value > 0);
+      result[field] = values.length
+        ? { min: Math.min(...values), max: Math.max(...values) }
+        : { min: null, max: null };
+    }
+
+    return result;
+  },
+
+  /**
+   * `base`, or `base-2`, `base-3`, ... if another car already uses it.
+   * Slugs are not localized, so every locale/draft row of a car shares one.
+   */
+  async uniqueSlug(base: string, documentId?: string) {
+    const where: Record<string, any> = { slug: { $startsWith: base } };
+    if (documentId) where.documentId = { $ne: documentId };
+    const taken = new Set(
+      (await strapi.db.query('api::car.car').findMany({ where, select: ['slug'] })).map((row: any) => row.slug)
+    );
+
+    let slug = base;
+    for (let suffix = 2; taken.has(slug); suffix += 1) slug = `${base}-${suffix}`;
+    return slug;
+  },
+
+  /**
+   * Document service middleware hook (see src/index.ts): sets `data.slug`
+   * from the English title + year when a car is saved without one. An
+   * existing slug is never replaced unless it was cleared explicitly, so
+   * shared links keep working after a title edit.
+   */
+  async fillSlug({ documentId, locale, data }: SlugParams) {
+    if (!data || data.slug) return;
+
+    const rows = documentId
+      ? await strapi.db.query('api::car.car').findMany({
+          where: { documentId },
+          select: ['title', 'year', 'slug', 'locale'],
+        })
+      : [];
+    if (!('slug' in data) && rows.some((row: any) => row.slug)) return;
+
+    // The Japanese title slugifies to nothing; wait for the en locale then
+    const title = locale === 'en' ? data.title : rows.find((row: any) => row.locale === 'en')?.title;
+    const base = baseSlug(title || data.title, data.year ?? rows[0]?.year);
+    if (!base) return;
+
+    data.slug = await this.uniqueSlug(base, documentId);
+  },
+
+  /**
+   * Give cars created before the slug field existed (or only saved in
+   * Japanese so far) a slug. Writes straight to the table so no new
+   * draft/publish versions are created.
+   */
+  async backfillSlugs() {
+    const rows = await strapi.db.query('api::car.car').findMany({
+      where: { slug: { $null: true }, locale: 'en' },
+      select: ['documentId', 'title', 'year'],
+    });
+
+    const done = new Set<string>();
+    for (const row of rows) {
+      if (done.has(row.documentId)) continue;
+      done.add(row.documentId);
+
+      const base = baseSlug(row.title, row.year);
+      if (!base) continue;
+      const slug = await this.uniqueSlug(base, row.documentId);
+      await strapi.db.query('api::car.car').updateMany({ where: { documentId: row.documentId }, data: { slug } });
+    }
+  },
+
+  /**
+   * Document service middleware hook (see src/index.ts): when `sale_status`
+   * changes, stamps `sale_status_changed_at`, and sets `sold_at` the first
+   * time the car is sold (cleared again if the sale falls through). Compares
+   * against the draft, which is what the admin edits.
+   */
+  async stampSaleStatus({ documentId, data }: SlugParams) {
+    if (!data?.sale_status) return;
+
+    const current = documentId
+      ? await strapi.db.query('api::car.car').findOne({
+          where: { documentId, publishedAt: { $null: true } },
+          select: ['sale_status', 'sold_at'],
+        })
+      : null;
+    // Cars from before the field existed count as available
+    const previous = current ? current.sale_status || 'available' : null;
+    if (previous === data.sale_status) return;
+
+    const now = new Date().toISOString();
+    data.sale_status_changed_at = now;
+
+    if (!SOLD_STATUSES.includes(data.sale_status)) {
+      data.sold_at = null;
+    } else if (!SOLD_STATUSES.includes(previous) || !current?.sold_at) {
+      data.sold_at = now;
+    }
+  },
+
+  // Cars created before `sale_status` existed are on sale
+  async backfillSaleStatus() {
+    await strapi.db.query('api::car.car').updateMany({
+      where: { sale_status: { $null: true } },
+      data: { sale_status: 'available' },
+    });
+  },
+}));
@@ -0,0 +1,7 @@
+/**
+ * exchange-rate controller
+ */
+
+import { factories } from '@strapi/strapi'
+
+export default factories.createCoreController('api::exchange-rate.exchange-rate');
@@ -0,0 +1,15 @@
+/**
+ * exchange-rate router
+ */
+
+import { factories } from '@strapi/strapi';
+
+// Website reads the rates for approximate prices; staff edit them in the admin panel
+export default factories.createCoreRouter('api::exchange-rate.exchange-rate', {
+  only: ['find'],
+  config: {
+    find: {
+      auth: false,
+    },
+  },
+});
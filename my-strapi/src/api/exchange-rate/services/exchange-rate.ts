@@ -0,0 +1,7 @@
+/**
+ * exchange-rate service
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreService('api::exchange-rate.exchange-rate');
@@ -0,0 +1,38 @@
+/**
+ * favorite controller
+ */
+
+import type { Core } from '@strapi/strapi';
+
+// Strapi v5 documentIds
+const DOCUMENT_ID_PATTERN = /^[a-z0-9]{24}$/;
+const MAX_FAVORITES = 200;
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  // GET /favorites — { data: [documentId, ...] }
+  async find(ctx) {
+    const { user } = ctx.state;
+    if (!user) return ctx.unauthorized();
+
+    const data = await strapi.service('api::favorite.favorite').get(user.id);
+    return { data };
+  },
+
+  // PUT /favorites { data: [documentId, ...] } — replaces the whole list
+  async update(ctx) {
+    const { user } = ctx.state;
+    if (!user) return ctx.unauthorized();
+
+    const cars = (ctx.request.body as any)?.data;
+    const valid =
+      Array.isArray(cars) &&
+      cars.length <= MAX_FAVORITES &&
+      cars.every((car) => typeof car === 'string' && DOCUMENT_ID_PATTERN.test(car));
+    if (!valid) {
+      return ctx.badRequest('Invalid favorites', { errors: { data: 'invalid' } });
+    }
+
+    const data = await strapi.service('api::favorite.favorite').set(user.id, cars);
+    return { data };
+  },
+});
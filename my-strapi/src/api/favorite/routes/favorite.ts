@@ -0,0 +1,21 @@
+/**
+ * favorite router
+ *
+ * A logged-in buyer's saved cars. The authenticated role is granted these
+ * actions in bootstrap (src/index.ts).
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/favorites',
+      handler: 'api::favorite.favorite.find',
+    },
+    {
+      method: 'PUT',
+      path: '/favorites',
+      handler: 'api::favorite.favorite.update',
+    },
+  ],
+};
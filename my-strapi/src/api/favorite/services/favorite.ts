@@ -0,0 +1,28 @@
+/**
+ * favorite service
+ *
+ * Saved cars live on the user as a private `favorite_cars` JSON list of car
+ * documentIds (src/extensions/users-permissions). Cars that were deleted or
+ * unpublished since are simply not returned by the car API.
+ */
+
+import type { Core } from '@strapi/strapi';
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  async get(userId: number): Promise<string[]> {
+    const user = await strapi.db.query('plugin::users-permissions.user').findOne({
+      where: { id: userId },
+      select: ['favorite_cars'],
+    });
+    return Array.isArray(user?.favorite_cars) ? user.favorite_cars : [];
+  },
+
+  async set(userId: number, cars: string[]): Promise<string[]> {
+    const favorites = [...new Set(cars)];
+    await strapi.db.query('plugin::users-permissions.user').update({
+      where: { id: userId },
+      data: { favorite_cars: favorites },
+    });
+    return favorites;
+  },
+});
@@ -0,0 +1,7 @@
+/**
+ * freight-rate controller
+ */
+
+import { factories } from '@strapi/strapi'
+
+export default factories.createCoreController('api::freight-rate.freight-rate');
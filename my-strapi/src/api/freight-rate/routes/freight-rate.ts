@@ -0,0 +1,15 @@
+/**
+ * freight-rate router
+ */
+
+import { factories } from '@strapi/strapi';
+
+// CarDetail's CIF estimator reads the tables; staff maintain them in the admin panel
+export default factories.createCoreRouter('api::freight-rate.freight-rate', {
+  only: ['find'],
+  config: {
+    find: {
+      auth: false,
+    },
+  },
+});
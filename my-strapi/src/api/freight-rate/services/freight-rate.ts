@@ -0,0 +1,7 @@
+/**
+ * freight-rate service
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreService('api::freight-rate.freight-rate');
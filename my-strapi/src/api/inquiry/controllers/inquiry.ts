@@ -0,0 +1,127 @@
+/**
+ * inquiry controller
+ */
+
+import { factories } from '@strapi/strapi'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTENTS = ['general', 'local_purchase', 'export', 'inspection_visit'];
+
+const TEXT_FIELDS = ['name', 'email', 'phone', 'message', 'language', 'intent', 'car'] as const;
+
+// Raw JSON body — the route is public, so nothing here is trusted to be a string
+type InquiryInput = Partial<Record<(typeof TEXT_FIELDS)[number], unknown>>;
+
+const text = (value: unknown) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Same rules as the front end form; the schema constraints (required,
+ * lengths) still apply on top. Returns field -> error code.
+ */
+const validateInquiry = (data: InquiryInput) => {
+  const errors: Record<string, string> = {};
+  const name = text(data.name);
+  const email = text(data.email);
+  const phone = text(data.phone);
+  const message = text(data.message);
+
+  if (!name) errors.name = 'required';
+  else if (name.length > 100) errors.name = 'too_long';
+
+  if (!email) errors.email = 'required';
+  else if (!EMAIL_PATTERN.test(email)) errors.email = 'invalid';
+
+  if (phone && !/^[\d\s+()-]{6,40}$/.test(phone)) errors.phone = 'invalid';
+
+  if (!message) errors.message = 'required';
+  else if (message.length < 10) errors.message = 'too_short';
+  else if (message.length > 2000) errors.message = 'too_long';
+
+  if (data.intent && !INTENTS.includes(text(data.intent))) errors.intent = 'invalid';
+
+  // Numbers, objects etc. are a bad request, not a crash on .trim()
+  for (const field of TEXT_FIELDS) {
+    if (data[field] != null && typeof data[field] !== 'string') errors[field] = 'invalid';
+  }
+
+  return errors;
+};
+
+// What a buyer sees of their own inquiries on the account dashboard
+const BUYER_FIELDS = ['message', 'intent', 'car_title', 'inquiry_status', 'createdAt'];
+
+export default factories.createCoreController('api::inquiry.inquiry', ({ strapi }) => ({
+  async create(ctx) {
+    const input: InquiryInput = ctx.request.body?.data || {};
+
+    const errors = validateInquiry(input);
+    if (Object.keys(errors).length > 0) {
+      return ctx.badRequest('Invalid inquiry', { errors });
+    }
+
+    const language = text(input.language) === 'en' ? 'en' : 'ja';
+
+    // Only attach cars that exist and are published
+    let car = null;
+    if (text(input.car)) {
+      car = await strapi.documents('api::car.car').findOne({
+        documentId: text(input.car),
+        locale: language,
+        status: 'published',
+      });
+    }
+
+    // The route is public, so a logged-in buyer's JWT is checked here; a bad
+    // or expired token just sends the inquiry without an account link
+    let buyer = null;
+    try {
+      const token = await strapi.plugin('users-permissions').service('jwt').getToken(ctx);
+      if (token?.id) {
+        buyer = await strapi.db.query('plugin::users-permissions.user').findOne({
+          where: { id: token.id, blocked: false },
+          select: ['documentId'],
+        });
+      }
+    } catch {
+      buyer = null;
+    }
+
+    // Whitelist fields — inquiry_status etc. are for staff only. Title and
+    // price are copied from the car so sales still see what the buyer saw
+    // after the listing changes.
+    const inquiry = await strapi.documents('api::inquiry.inquiry').create({
+      data: {
+        name: text(input.name),
+        email: text(input.email),
+        phone: text(input.phone) || null,
+        message: text(input.message),
+        language,
+        intent: text(input.intent) || 'general',
+        car: car ? { connect: [{ documentId: car.documentId, locale: language }] } : null,
+        car_title: car?.title || null,
+        car_price: car?.price || null,
+        buyer: buyer ? { connect: [{ documentId: buyer.documentId }] } : null,
+      } as any,
+    });
+
+    ctx.status = 201;
+    return { data: { documentId: inquiry.documentId } };
+  },
+
+  // GET /inquiries/mine — the logged-in buyer's inquiries, newest first
+  async mine(ctx) {
+    const { user } = ctx.state;
+    if (!user) return ctx.unauthorized();
+
+    // db query, not the document service: inquiry_status is private but the
+    // buyer may see how far along their own inquiry is
+    const data = await strapi.db.query('api::inquiry.inquiry').findMany({
+      where: { buyer: { id: user.id } },
+      select: ['documentId', ...BUYER_FIELDS],
+      populate: { car: { select: ['documentId', 'slug'] } },
+      orderBy: { createdAt: 'desc' },
+      limit: 100,
+    });
+    return { data };
+  },
+}));
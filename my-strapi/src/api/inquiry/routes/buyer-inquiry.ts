@@ -0,0 +1,14 @@
+/**
+ * Buyer-facing inquiry routes — a logged-in buyer's own inquiries for the
+ * account dashboard. Granted to the authenticated role in bootstrap.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/inquiries/mine',
+      handler: 'api::inquiry.inquiry.mine',
+    },
+  ],
+};
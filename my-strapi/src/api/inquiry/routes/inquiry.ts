@@ -0,0 +1,15 @@
+/**
+ * inquiry router
+ */
+
+import { factories } from '@strapi/strapi';
+
+// Website visitors can only send inquiries; staff read them in the admin panel
+export default factories.createCoreRouter('api::inquiry.inquiry', {
+  only: ['create'],
+  config: {
+    create: {
+      auth: false,
+    },
+  },
+});
@@ -0,0 +1,7 @@
+/**
+ * inquiry service
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreService('api::inquiry.inquiry');
@@ -0,0 +1,49 @@
+/**
+ * order controller
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreController('api::order.order', ({ strapi }) => ({
+  // GET /orders — only the logged-in buyer's own orders
+  async find(ctx) {
+    const { user } = ctx.state;
+    if (!user) return ctx.unauthorized();
+
+    const data = await strapi.service('api::order.order').findForBuyer(user.id);
+    return { data };
+  },
+
+  // GET /orders/:id/documents/:fileId — { data: { url } } to download one attached file
+  async documentLink(ctx) {
+    const { user } = ctx.state;
+    if (!user) return ctx.unauthorized();
+
+    const service = strapi.service('api::order.order');
+    const file = await service.findBuyerDocument(user.id, ctx.params.id, Number(ctx.params.fileId));
+    // Someone else's order looks the same as a missing one
+    if (!file) return ctx.notFound();
+
+    return { data: { url: await service.documentDownloadUrl(file) } };
+  },
+
+  // GET /order-documents/:token — streams a locally stored file (token from documentLink)
+  async download(ctx) {
+    const file = await strapi.service('api::order.order').verifyDownloadToken(ctx.params.token);
+    if (!file || file.provider !== 'local') return ctx.notFound();
+
+    const filePath = path.join(strapi.dirs.static.public, file.url);
+    try {
+      await fs.promises.access(filePath);
+    } catch {
+      return ctx.notFound();
+    }
+
+    ctx.type = file.mime || 'application/octet-stream';
+    ctx.attachment(file.name);
+    ctx.set('Cache-Control', 'private, no-store');
+    ctx.body = fs.createReadStream(filePath);
+  },
+}));
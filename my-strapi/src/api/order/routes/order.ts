@@ -0,0 +1,32 @@
+/**
+ * order router
+ *
+ * Buyers only ever see their own orders and documents; staff create and
+ * update them in the admin panel. The authenticated role is granted these
+ * actions in bootstrap (src/index.ts).
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/orders',
+      handler: 'api::order.order.find',
+    },
+    {
+      method: 'GET',
+      path: '/orders/:id/documents/:fileId',
+      handler: 'api::order.order.documentLink',
+    },
+    {
+      // The short-lived token in the URL is the credential — browsers
+      // download with a plain link, without the Authorization header
+      method: 'GET',
+      path: '/order-documents/:token',
+      handler: 'api::order.order.download',
+      config: {
+        auth: false,
+      },
+    },
+  ],
+};
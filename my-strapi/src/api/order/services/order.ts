@@ -0,0 +1,218 @@
+/**
+ * order service
+ */
+
+import { factories } from '@strapi/strapi';
+
+// Export paperwork, one media field per document type
+export const DOCUMENT_FIELDS = ['export_certificate', 'invoice', 'bill_of_lading', 'inspection_certificates'] as const;
+
+// What the buyer sees of an attached file — never its URL
+const DOCUMENT_FILE_FIELDS = ['name', 'ext', 'mime', 'size'];
+
+// Download links for locally stored files stop working after this
+const DOWNLOAD_TOKEN_TTL = '5m';
+const DOWNLOAD_TOKEN_PURPOSE = 'order-document';
+
+type OrderFile = { id: number; hash?: string; name: string; ext?: string; mime?: string; size?: number; url?: string; provider?: string };
+
+// Every attached file of an order -> [{ type, file }]
+const documentsOf = (order: Record<string, any> | null) =>
+  DOCUMENT_FIELDS.flatMap((type) =>
+    ([] as OrderFile[]).concat(order?.[type] || []).map((file) => ({ type, file }))
+  );
+
+// Fields a buyer may see — staff_notes and the admin bookkeeping stay out
+const BUYER_FIELDS = [
+  'order_number',
+  'car_title',
+  'order_status',
+  'deposit_received_at',
+  'export_certificate_issued_at',
+  'booked_on_vessel_at',
+  'bl_issued_at',
+  'arrived_at',
+  'destination_port',
+  'vessel_name',
+  'eta',
+  'buyer_note',
+  'createdAt',
+  'updatedAt',
+] as const;
+
+// Hashes of every file attached to an order, for the private-uploads
+// middleware — built on first use, cleared by the order document middleware
+// and upload file lifecycles in src/index.ts
+let documentHashes: Promise<Set<string>> | null = null;
+
+type OrderData = {
+  order_number?: string | null;
+  car?: unknown;
+  car_title?: string | null;
+};
+
+export default factories.createCoreService('api::order.order', ({ strapi }) => ({
+  /**
+   * Orders entered without a number get the next one for the year,
+   * e.g. ORD-2026-0007. Staff can still type their own.
+   */
+  async fillOrderNumber(params: { data?: OrderData }) {
+    const data = params?.data;
+    if (!data || data.order_number) return;
+
+    const year = new Date().getFullYear();
+    const prefix = `ORD-${year}-`;
+    const latest = await strapi.db.query('api::order.order').findOne({
+      where: { order_number: { $startsWith: prefix } },
+      orderBy: { order_number: 'desc' },
+      select: ['order_number'],
+    });
+    const sequence = latest ? Number(latest.order_number.slice(prefix.length)) + 1 : 1;
+    data.order_number = `${prefix}${String(sequence).padStart(4, '0')}`;
+  },
+
+  // A buyer's orders, newest first. The car comes in whichever language it
+  // was linked in; its slug is the same in both. Attached documents are
+  // listed as `documents` without URLs — see documentDownloadUrl.
+  async findForBuyer(userId: number) {
+    const orders = await strapi.documents('api::order.order').findMany({
+      filters: { buyer: { id: userId } },
+      fields: [...BUYER_FIELDS],
+      populate: {
+        car: {
+          fields: ['title', 'slug'],
+          populate: { image: { fields: ['url', 'formats', 'mime'] } },
+        },
+        ...Object.fromEntries(DOCUMENT_FIELDS.map((field) => [field, { fields: DOCUMENT_FILE_FIELDS }])),
+      },
+      sort: 'createdAt:desc',
+    } as any);
+
+    return orders.map((order) => {
+      const documents = documentsOf(order).map(({ type, file }) => ({
+        id: file.id,
+        type,
+        name: file.name,
+        ext: file.ext,
+        mime: file.mime,
+        size: file.size,
+      }));
+      const rest = { ...order };
+      DOCUMENT_FIELDS.forEach((field) => delete rest[field]);
+      return { ...rest, documents };
+    });
+  },
+
+  // All attached files of one order, with everything needed to serve them
+  async findDocuments(documentId: string) {
+    const order = await strapi.documents('api::order.order').findOne({
+      documentId,
+      populate: [...DOCUMENT_FIELDS],
+    } as any);
+    return { order, documents: order ? documentsOf(order) : [] };
+  },
+
+  // The file, if it is attached to this order and the order belongs to the buyer
+  async findBuyerDocument(userId: number, documentId: string, fileId: number) {
+    const owned = await strapi.db.query('api::order.order').findOne({
+      where: { documentId, buyer: { id: userId } },
+      select: ['id'],
+    });
+    if (!owned) return null;
+
+    const { documents } = await this.findDocuments(documentId);
+    return documents.find(({ file }) => file.id === fileId)?.file || null;
+  },
+
+  /**
+   * Where the buyer's browser should go to download a file. Private upload
+   * providers (e.g. a private S3 bucket) get their own short-lived signed
+   * URL; files on the local provider are blocked at /uploads (see
+   * src/middlewares/private-uploads.ts) and streamed by `download` behind a
+   * token that only works for this file, for a few minutes.
+   */
+  async documentDownloadUrl(file: OrderFile) {
+    if (file.provider !== 'local') {
+      const signed = await strapi.plugin('upload').service('file').signFileUrls(file);
+      return signed.url;
+    }
+
+    const token = strapi
+      .plugin('users-permissions')
+      .service('jwt')
+      .issue({ file: file.id, purpose: DOWNLOAD_TOKEN_PURPOSE }, { expiresIn: DOWNLOAD_TOKEN_TTL });
+    return `/api/order-documents/${token}`;
+  },
+
+  /**
+   * Is this /uploads file name (original or a thumbnail/small/... format of
+   * it) attached to an order? Used by the private-uploads middleware so such
+   * files are only reachable through `download`. Answered from an in-memory
+   * set, so public car images don't cost a query each.
+   */
+  async isDocumentUpload(fileName: string) {
+    const hash = fileName.replace(/\.[^.]+$/, '');
+    const hashes = await this.documentHashes();
+    return hashes.has(hash) || hashes.has(hash.replace(/^(thumbnail|small|medium|large)_/, ''));
+  },
+
+  documentHashes() {
+    if (!documentHashes) {
+      documentHashes = strapi.db
+        .query('api::order.order')
+        .findMany({
+          select: ['id'],
+          populate: Object.fromEntries(DOCUMENT_FIELDS.map((field) => [field, { select: ['hash'] }])),
+        })
+        .then((orders) => new Set(orders.flatMap(documentsOf).map(({ file }) => file.hash)));
+      // A failed load is retried on the next request, not cached
+      documentHashes.catch(() => {
+        documentHashes = null;
+      });
+    }
+    return documentHashes;
+  },
+
+  invalidateDocumentHashes() {
+    documentHashes = null;
+  },
+
+  // Download token -> the file it was issued for, or null if invalid / expired
+  async verifyDownloadToken(token: string): Promise<OrderFile | null> {
+    try {
+      const payload = await strapi.plugin('users-permissions').service('jwt').verify(token);
+      if (payload?.purpose !== DOWNLOAD_TOKEN_PURPOSE || !payload.file) return null;
+      return strapi.db.query('plugin::upload.file').findOne({ where: { id: payload.file } });
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Emails STAFF_NOTIFICATION_EMAIL when files were added to an order, so
+   * sales know the buyer can now download them. `before` is the file ids
+   * attached before the save.
+   */
+  async notifyNewDocuments(documentId: string, before: number[]) {
+    const to = process.env.STAFF_NOTIFICATION_EMAIL;
+    if (!to) return;
+
+    const { order, documents } = await this.findDocuments(documentId);
+    const added = documents.filter(({ file }) => !before.includes(file.id));
+    if (!order || added.length === 0) return;
+
+    const adminUrl = `${strapi.config.get('server.url', '')}/admin/content-manager/collection-types/api::order.order/${documentId}`;
+    await strapi.plugin('email').service('email').send({
+      to,
+      subject: `New documents on order ${order.order_number || documentId}`,
+      text: [
+        `${added.length} document(s) were uploaded to order ${order.order_number || documentId}:`,
+        '',
+        ...added.map(({ type, file }) => `- ${type.replace(/_/g, ' ')}: ${file.name}`),
+        '',
+        'The buyer can download them from their account page.',
+        adminUrl,
+      ].join('\n'),
+    });
+  },
+}));
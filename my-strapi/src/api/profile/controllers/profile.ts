@@ -0,0 +1,69 @@
+/**
+ * profile controller
+ */
+
+import type { Core } from '@strapi/strapi';
+import { PROFILE_FIELDS, type Profile } from '../services/profile';
+
+// Same list as the user schema's preferred_currency enum
+const CURRENCIES = ['JPY', 'USD', 'EUR', 'AED', 'PKR', 'KES', 'TZS'];
+const MAX_LENGTHS = { full_name: 100, country: 60, whatsapp: 40 };
+
+/**
+ * Same rules as the front end profile form. Empty strings clear a field.
+ * Returns field -> error code.
+ */
+const validateProfile = (data: Profile) => {
+  const errors: Record<string, string> = {};
+
+  for (const [field, max] of Object.entries(MAX_LENGTHS)) {
+    const value = data[field];
+    if (value == null) continue;
+    if (typeof value !== 'string') errors[field] = 'invalid';
+    else if (value.trim().length > max) errors[field] = 'too_long';
+  }
+
+  if (typeof data.whatsapp === 'string' && data.whatsapp.trim() && !/^\+?[\d\s()-]{6,40}$/.test(data.whatsapp.trim())) {
+    errors.whatsapp = 'invalid';
+  }
+
+  if (data.preferred_currency != null && !CURRENCIES.includes(data.preferred_currency)) {
+    errors.preferred_currency = 'invalid';
+  }
+
+  return errors;
+};
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  // GET /profile — { data: { id, username, email, full_name, ... } }
+  async find(ctx) {
+    const { user } = ctx.state;
+    if (!user) return ctx.unauthorized();
+
+    const data = await strapi.service('api::profile.profile').get(user.id);
+    return { data };
+  },
+
+  // PUT /profile { data: { full_name, country, whatsapp, preferred_currency } }
+  async update(ctx) {
+    const { user } = ctx.state;
+    if (!user) return ctx.unauthorized();
+
+    const input = (ctx.request.body as any)?.data || {};
+    const errors = validateProfile(input);
+    if (Object.keys(errors).length > 0) {
+      return ctx.badRequest('Invalid profile', { errors });
+    }
+
+    // Only the known fields that were sent; anything else (email, role...) is ignored
+    const profile: Profile = {};
+    for (const field of PROFILE_FIELDS) {
+      if (input[field] === undefined) continue;
+      profile[field] = typeof input[field] === 'string' ? input[field].trim() || null : null;
+    }
+    if (profile.preferred_currency === null) profile.preferred_currency = 'JPY';
+
+    const data = await strapi.service('api::profile.profile').set(user.id, profile);
+    return { data };
+  },
+});
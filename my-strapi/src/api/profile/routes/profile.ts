@@ -0,0 +1,22 @@
+/**
+ * profile router
+ *
+ * A logged-in buyer's own account details. The authenticated role is granted
+ * these actions in bootstrap (src/index.ts); the users-permissions
+ * `user.update` action is not, since it can edit any user.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/profile',
+      handler: 'api::profile.profile.find',
+    },
+    {
+      method: 'PUT',
+      path: '/profile',
+      handler: 'api::profile.profile.update',
+    },
+  ],
+};
@@ -0,0 +1,31 @@
+/**
+ * profile service
+ *
+ * Reads and writes only the buyer-editable fields added to the user in
+ * src/extensions/users-permissions — never email, password, role or blocked.
+ */
+
+import type { Core } from '@strapi/strapi';
+
+export const PROFILE_FIELDS = ['full_name', 'country', 'whatsapp', 'preferred_currency'] as const;
+
+export type Profile = Partial<Record<(typeof PROFILE_FIELDS)[number], string | null>>;
+
+const SELECT = ['id', 'username', 'email', ...PROFILE_FIELDS];
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  async get(userId: number) {
+    return strapi.db.query('plugin::users-permissions.user').findOne({
+      where: { id: userId },
+      select: SELECT,
+    });
+  },
+
+  async set(userId: number, profile: Profile) {
+    return strapi.db.query('plugin::users-permissions.user').update({
+      where: { id: userId },
+      data: profile,
+      select: SELECT,
+    });
+  },
+});
@@ -0,0 +1,14 @@
+/**
+ * sitemap controller
+ */
+
+import type { Core } from '@strapi/strapi';
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  // GET /sitemap.xml
+  async index(ctx) {
+    ctx.type = 'application/xml; charset=utf-8';
+    ctx.set('Cache-Control', 'public, max-age=3600');
+    ctx.body = await strapi.service('api::sitemap.sitemap').get();
+  },
+});
@@ -0,0 +1,17 @@
+/**
+ * sitemap router
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/sitemap.xml',
+      handler: 'api::sitemap.sitemap.index',
+      config: {
+        // Crawlers fetch it through the front end's robots.txt
+        auth: false,
+      },
+    },
+  ],
+};
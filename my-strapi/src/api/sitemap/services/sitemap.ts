@@ -0,0 +1,126 @@
+/**
+ * sitemap service
+ *
+ * Builds the front end's sitemap: the static pages and every published car
+ * in both language trees, with hreflang alternates, `lastmod` from the
+ * car's `updatedAt` and its photos as image entries.
+ *
+ * The XML is cached in memory; the document service middleware in
+ * src/index.ts clears it whenever a car is written, published or
+ * unpublished, so the next request rebuilds it.
+ */
+
+import type { Core } from '@strapi/strapi';
+
+// Must match the front end's `:lng` routes and pages
+const LANGUAGES = ['ja', 'en'];
+const DEFAULT_LANGUAGE = 'ja';
+const STATIC_PAGES = ['', '/cars', '/about', '/contact'];
+
+type Page = {
+  path: string;
+  // language -> lastmod (only the languages the page exists in)
+  languages: Map<string, string | null>;
+  images: string[];
+};
+
+const escapeXml = (value: string) =>
+  value.replace(/[<>&'"]/g, (char) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[char]);
+
+const latest = (dates: Array<string | null>) =>
+  dates.filter(Boolean).sort().pop() || null;
+
+let cached: string | null = null;
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  const frontendUrl = () => String(strapi.config.get('server.frontendUrl', '')).replace(/\/$/, '');
+  // Local upload provider stores relative URLs
+  const mediaUrl = (url: string) =>
+    /^https?:\/\//.test(url) ? url : `${String(strapi.config.get('server.url', '')).replace(/\/$/, '')}${url}`;
+
+  const carPages = async () => {
+    const pages = new Map<string, Page>();
+
+    for (const locale of LANGUAGES) {
+      const cars = await strapi.documents('api::car.car').findMany({
+        locale,
+        status: 'published',
+        fields: ['slug', 'updatedAt'],
+        populate: { image: { fields: ['url', 'mime'] } },
+      });
+
+      for (const car of cars as any[]) {
+        const page = pages.get(car.documentId) || {
+          path: `/cars/${car.slug || car.documentId}`,
+          languages: new Map(),
+          images: (car.image || [])
+            .filter((file: any) => !file.mime?.startsWith('video/'))
+            .map((file: any) => mediaUrl(file.url)),
+        };
+        page.languages.set(locale, car.updatedAt ? new Date(car.updatedAt).toISOString() : null);
+        pages.set(car.documentId, page);
+      }
+    }
+
+    return [...pages.values()];
+  };
+
+  const renderPage = ({ path, languages, images }: Page) => {
+    const alternates = [...languages.keys()]
+      .map((lng) => `<xhtml:link rel="alternate" hreflang="${lng}" href="${escapeXml(`${frontendUrl()}/${lng}${path}`)}"/>`)
+      .concat(
+        languages.has(DEFAULT_LANGUAGE)
+          ? `<xhtml:link rel="alternate" hreflang="x-default" href="${escapeXml(`${frontendUrl()}/${DEFAULT_LANGUAGE}${path}`)}"/>`
+          : []
+      )
+      .join('');
+    const imageTags = images
+      .map((image) => `<image:image><image:loc>${escapeXml(image)}</image:loc></image:image>`)
+      .join('');
+
+    // One <url> per language, each listing all alternates
+    return [...languages.entries()]
+      .map(([lng, lastmod]) =>
+        [
+          '<url>',
+          `<loc>${escapeXml(`${frontendUrl()}/${lng}${path}`)}</loc>`,
+          lastmod ? `<lastmod>${lastmod}</lastmod>` : '',
+          alternates,
+          imageTags,
+          '</url>',
+        ].join('')
+      )
+      .join('\n');
+  };
+
+  return {
+    async build() {
+      const cars = await carPages();
+      const newest = latest(cars.flatMap((car) => [...car.languages.values()]));
+
+      const staticPages: Page[] = STATIC_PAGES.map((path) => ({
+        path,
+        // Home and the listing change whenever a car does
+        languages: new Map(LANGUAGES.map((lng) => [lng, path === '' || path === '/cars' ? newest : null])),
+        images: [],
+      }));
+
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+        ...[...staticPages, ...cars].map(renderPage),
+        '</urlset>',
+        '',
+      ].join('\n');
+    },
+
+    async get() {
+      if (!cached) cached = await this.build();
+      return cached;
+    },
+
+    invalidate() {
+      cached = null;
+    },
+  };
+};
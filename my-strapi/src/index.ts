@@ -1,4 +1,31 @@
-// import type { Core } from '@strapi/strapi';
+import type { Core } from '@strapi/strapi';
+
+// Site languages — must match the front end's `:lng` route param
+const LOCALES = [
+  { code: 'ja', name: 'Japanese (ja)' },
+  { code: 'en', name: 'English (en)' },
+];
+const DEFAULT_LOCALE = 'ja';
+
+// Car document actions that can change what the sitemap lists
+const SITEMAP_ACTIONS = ['create', 'update', 'delete', 'publish', 'unpublish', 'discardDraft'];
+
+// Order document actions that can change which files are attached
+const ORDER_FILE_ACTIONS = ['create', 'update', 'delete', 'publish', 'unpublish', 'discardDraft'];
+
+// Content API actions every logged-in buyer needs (users-permissions "Authenticated" role)
+const AUTHENTICATED_ACTIONS = [
+  'api::favorite.favorite.find',
+  'api::favorite.favorite.update',
+  'api::profile.profile.find',
+  'api::profile.profile.update',
+  'api::order.order.find',
+  'api::order.order.documentLink',
+  'api::inquiry.inquiry.mine',
+];
+
+// Front end page the users-permissions "reset password" email links to (?code=...)
+const RESET_PASSWORD_PATH = '/account/reset-password';
 
 export default {
   /**
@@ -7,7 +34,58 @@ export default {
    *
    * This gives you an opportunity to extend code.
    */
-  register(/* { strapi }: { strapi: Core.Strapi } */) {},
+  register({ strapi }: { strapi: Core.Strapi }) {
+    strapi.documents.use(async (context, next) => {
+      if (context.uid !== 'api::car.car') return next();
+
+      if (context.action === 'create' || context.action === 'update') {
+        // Cars saved without a slug get one from the English title + year
+        await strapi.service('api::car.car').fillSlug(context.params as any);
+        // Status change timestamps (sale_status_changed_at, sold_at)
+        await strapi.service('api::car.car').stampSaleStatus(context.params as any);
+      }
+
+      const result = await next();
+
+      // Sitemap lists published cars — rebuild it on the next request
+      if (SITEMAP_ACTIONS.includes(context.action)) {
+        strapi.service('api::sitemap.sitemap').invalidate();
+      }
+
+      return result;
+    });
+
+    strapi.documents.use(async (context, next) => {
+      if (context.uid !== 'api::order.order') return next();
+      const orders = strapi.service('api::order.order');
+
+      // Orders saved without a number get the next ORD-<year>-NNNN
+      if (context.action === 'create') {
+        await orders.fillOrderNumber(context.params as any);
+      }
+      if (context.action !== 'create' && context.action !== 'update') {
+        const result = await next();
+        // private-uploads rebuilds its set of order file hashes on the next request
+        if (ORDER_FILE_ACTIONS.includes(context.action)) orders.invalidateDocumentHashes();
+        return result;
+      }
+
+      // Files attached before this save, to tell staff only about new ones
+      const { documentId } = context.params as any;
+      const before = documentId ? (await orders.findDocuments(documentId)).documents.map(({ file }) => file.id) : [];
+
+      const result: any = await next();
+      orders.invalidateDocumentHashes();
+
+      if (result?.documentId) {
+        orders.notifyNewDocuments(result.documentId, before).catch((err) => {
+          strapi.log.error(`Order document notification failed: ${err.message}`);
+        });
+      }
+
+      return result;
+    });
+  },
 
   /**
    * An asynchronous bootstrap function that runs before
@@ -16,5 +94,55 @@ export default {
    * This gives you an opportunity to set up your data model,
    * run jobs, or perform some special logic.
    */
-  bootstrap(/* { strapi }: { strapi: Core.Strapi } */) {},
+  async bootstrap({ strapi }: { strapi: Core.Strapi }) {
+    // Make sure both site locales exist for the localized car content
+    const locales = strapi.plugin('i18n').service('locales');
+
+    for (const locale of LOCALES) {
+      if (await locales.findByCode(locale.code)) continue;
+
+      await locales.create(locale);
+      // Only on first creation, so a default changed in the admin sticks
+      if (locale.code === DEFAULT_LOCALE) {
+        await locales.setDefaultLocale({ code: DEFAULT_LOCALE });
+      }
+    }
+
+    // A file replaced or deleted in the Media Library gets a new hash / none,
+    // so the private-uploads set of order file hashes is rebuilt
+    strapi.db.lifecycles.subscribe({
+      models: ['plugin::upload.file'],
+      afterUpdate: () => strapi.service('api::order.order').invalidateDocumentHashes(),
+      afterDelete: () => strapi.service('api::order.order').invalidateDocumentHashes(),
+    });
+
+    // Cars from before the slug field, or entered only in Japanese so far
+    await strapi.service('api::car.car').backfillSlugs();
+    // ...and from before sale_status, which should read as available
+    await strapi.service('api::car.car').backfillSaleStatus();
+
+    // Without these the buyer account features answer 403
+    const role = await strapi.db
+      .query('plugin::users-permissions.role')
+      .findOne({ where: { type: 'authenticated' } });
+    if (role) {
+      for (const action of AUTHENTICATED_ACTIONS) {
+        const permissions = strapi.db.query('plugin::users-permissions.permission');
+        if (await permissions.findOne({ where: { action, role: role.id } })) continue;
+        await permissions.create({ data: { action, role: role.id } });
+      }
+    }
+
+    // Forgot-password emails link to the site, not the admin. Only filled in
+    // when empty, so a URL set under Settings > Advanced settings sticks.
+    const usersPermissionsStore = strapi.store({ type: 'plugin', name: 'users-permissions' });
+    const advanced = ((await usersPermissionsStore.get({ key: 'advanced' })) || {}) as Record<string, unknown>;
+    const frontendUrl = String(strapi.config.get('server.frontendUrl', '')).replace(/\/$/, '');
+    if (!advanced.email_reset_password && frontendUrl) {
+      await usersPermissionsStore.set({
+        key: 'advanced',
+        value: { ...advanced, email_reset_password: `${frontendUrl}${RESET_PASSWORD_PATH}` },
+      });
+    }
+  },
 };
@@ -0,0 +1,32 @@
+/**
+ * private-uploads middleware
+ *
+ * The local upload provider serves everything in public/uploads to anyone.
+ * Export documents attached to an order must only reach the owning buyer,
+ * so their files (and image formats of them) answer 404 here; buyers get
+ * them through GET /api/order-documents/:token instead. The lookup is an
+ * in-memory set of order file hashes (order service), not a query per file.
+ */
+
+import type { Core } from '@strapi/strapi';
+
+const UPLOADS_PREFIX = '/uploads/';
+
+export default (_config: unknown, { strapi }: { strapi: Core.Strapi }) =>
+  async (ctx, next) => {
+    if (!['GET', 'HEAD'].includes(ctx.method) || !ctx.path.startsWith(UPLOADS_PREFIX)) return next();
+
+    let fileName: string;
+    try {
+      fileName = decodeURIComponent(ctx.path.slice(UPLOADS_PREFIX.length));
+    } catch {
+      return next(); // Malformed path — strapi::public 404s it anyway
+    }
+    if (await strapi.service('api::order.order').isDocumentUpload(fileName)) {
+      ctx.status = 404;
+      ctx.body = 'Not Found';
+      return;
+    }
+
+    return next();
+  };
@@ -0,0 +1,109 @@
+/**
+ * Build-time pre-render
+ *
+ * Writes static HTML for Home, Cars, About, Contact and every published car
+ * in both languages (dist/<lng>/.../index.html), so crawlers and WhatsApp /
+ * LINE link previews get real content and the Helmet tags. The browser then
+ * hydrates the page with the same data (see src/main.jsx).
+ *
+ * Runs after the client build and the SSR build of src/entry-server.jsx —
+ * `npm run build` does all three. If Strapi cannot be reached the SPA build
+ * is left as it is and nothing is pre-rendered.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { loadEnv } from 'vite';
+import { carPath } from '../src/utils/routes.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const distDir = path.join(root, 'dist');
+const serverDir = path.join(distDir, 'server');
+
+const env = loadEnv('production', root, 'VITE_');
+const STRAPI_URL = env.VITE_STRAPI_URL || 'http://localhost:1337';
+
+const LANGUAGES = ['ja', 'en'];
+const STATIC_PAGES = ['', '/cars', '/about', '/contact'];
+const PAGE_SIZE = 100;
+
+// Every published car of one locale -> [{ slug, documentId }]
+const fetchCarPaths = async (locale) => {
+  const paths = [];
+  for (let page = 1; ; page += 1) {
+    const params = new URLSearchParams({
+      locale,
+      'fields[0]': 'slug',
+      'fields[1]': 'documentId',
+      'pagination[page]': page,
+      'pagination[pageSize]': PAGE_SIZE,
+    });
+    const response = await fetch(`${STRAPI_URL}/api/cars?${params}`);
+    if (!response.ok) throw new Error(`GET /api/cars (${locale}) failed: ${response.status}`);
+    const body = await response.json();
+    paths.push(...body.data.map(carPath));
+    if (page >= (body.meta?.pagination?.pageCount || 1)) return paths;
+  }
+};
+
+// JSON inside <script> — `</script>` ya `<!--` data se tag band na ho
+const serialize = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const injectPage = (template, { html, head, htmlAttributes, queries }, url) =>
+  template
+    .replace(/<html[^>]*>/, htmlAttributes ? `<html ${htmlAttributes}>` : '$&')
+    .replace(/<title>.*?<\/title>/, head.includes('<title') ? '' : '$&')
+    .replace('</head>', `${head}</head>`)
+    .replace(
+      '<div id="root"></div>',
+      `<div id="root">${html}</div><script>window.__PRERENDER__=${serialize({ url, queries })}</script>`
+    );
+
+async function main() {
+  const template = await fs.readFile(path.join(distDir, 'index.html'), 'utf8');
+
+  let urls;
+  try {
+    const carPaths = await Promise.all(LANGUAGES.map(fetchCarPaths));
+    urls = LANGUAGES.flatMap((lng, index) => [
+      ...STATIC_PAGES.map((page) => `/${lng}${page}`),
+      ...carPaths[index].map((carUrl) => `/${lng}${carUrl}`),
+    ]);
+  } catch (error) {
+    console.warn(`Pre-render skipped — Strapi not reachable at ${STRAPI_URL} (${error.message})`);
+    await fs.rm(serverDir, { recursive: true, force: true });
+    return;
+  }
+
+  if (!env.VITE_SITE_URL) {
+    console.warn('VITE_SITE_URL is not set — canonical, hreflang and og:url tags will be relative');
+  }
+
+  const { render } = await import(pathToFileURL(path.join(serverDir, 'entry-server.js')).href);
+
+  const failed = [];
+  for (const url of urls) {
+    try {
+      const page = await render(url);
+      const file = path.join(distDir, url, 'index.html');
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, injectPage(template, page, url));
+      console.log(`  ${url}`);
+    } catch (error) {
+      failed.push(url);
+      console.error(`  ${url} failed:`, error);
+    }
+  }
+
+  // SSR bundle sirf build ke liye hai — deploy nahi hota
+  await fs.rm(serverDir, { recursive: true, force: true });
+
+  console.log(`Pre-rendered ${urls.length - failed.length}/${urls.length} pages`);
+  if (failed.length) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
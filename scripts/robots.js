@@ -0,0 +1,24 @@
+/**
+ * Writes dist/robots.txt pointing crawlers at the sitemap Strapi generates
+ * (GET /api/sitemap.xml, rebuilt whenever a car is published or
+ * unpublished). A sitemap on another host is accepted when robots.txt
+ * references it.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadEnv } from 'vite';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const env = loadEnv('production', root, 'VITE_');
+const STRAPI_URL = (env.VITE_STRAPI_URL || 'http://localhost:1337').replace(/\/$/, '');
+
+const robots = `User-agent: *
+Allow: /
+
+Sitemap: ${STRAPI_URL}/api/sitemap.xml
+`;
+
+await fs.writeFile(path.join(root, 'dist', 'robots.txt'), robots);
+console.log('robots.txt written');
@@ -1,40 +1,72 @@
 // src/App.jsx
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation, useParams } from 'react-router-dom';
 import Cars from './pages/Cars';
 import CarDetail from './pages/CarDetail';  // New import for CarDetail
 import Navbar from './components/Navbar';
 import Home from './pages/Home';
 import About from './pages/About';
 import Contact from './pages/Contact';
+import Favorites from './pages/Favorites';
+import Compare from './pages/Compare';
+import Account from './pages/Account';
+import AccountOrders from './pages/AccountOrders';
+import Login from './pages/Login';
+import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import NotFound from './pages/NotFound';
 import Footer from './components/Footer';
 
+// /cars/:id -> /ja/cars/:id (Navigate `to` mein params khud nahi bharta)
+function CarRedirect() {
+  const { id } = useParams();
+  return <Navigate to={`/ja/cars/${id}`} replace />;
+}
+
+// /compare?cars=…, /account/reset-password?code=… -> /ja/… (shared links / reset email ka query string na khoye)
+function LocalizedRedirect() {
+  const { pathname, search } = useLocation();
+  return <Navigate to={`/ja${pathname}${search}`} replace />;
+}
+
+// Router bahar se aata hai: BrowserRouter (main.jsx) ya StaticRouter (entry-server.jsx)
 export default function App() {
   return (
-    <Router>
-      <div>
-        <Navbar />
-        <Routes>
-          {/* Default Home with language param */}
-          <Route path="/:lng" element={<Home />} />
-          {/* Other pages with language param */}
-          <Route path="/:lng/cars" element={<Cars />} />
-          <Route path="/:lng/cars/:id" element={<CarDetail />} />  {/* Updated to CarDetail for individual car details */}
-          <Route path="/:lng/about" element={<About />} />
-          <Route path="/:lng/contact" element={<Contact />} />
-          {/* Fallback for root to Japanese */}
-          <Route path="/" element={<Navigate to="/ja" replace />} />
-          {/* Fallback for non-language routes to Japanese */}
-          <Route path="/cars" element={<Navigate to="/ja/cars" replace />} />
-          <Route path="/cars/:id" element={<Navigate to="/ja/cars/:id" replace />} />  {/* Updated fallback to include :id */}
-          <Route path="/about" element={<Navigate to="/ja/about" replace />} />
-          <Route path="/contact" element={<Navigate to="/ja/contact" replace />} />
-          {/* Catch-all for invalid routes */}
-          <Route path="*" element={<Navigate to="/ja" replace />} />
-        </Routes>
-        <Footer />
-      </div>
-    </Router>
+    <div>
+      <Navbar />
+      <Routes>
+        {/* Default Home with language param */}
+        <Route path="/:lng" element={<Home />} />
+        {/* Other pages with language param */}
+        <Route path="/:lng/cars" element={<Cars />} />
+        <Route path="/:lng/cars/:id" element={<CarDetail />} />  {/* Updated to CarDetail for individual car details */}
+        <Route path="/:lng/about" element={<About />} />
+        <Route path="/:lng/contact" element={<Contact />} />
+        <Route path="/:lng/favorites" element={<Favorites />} />
+        <Route path="/:lng/compare" element={<Compare />} />
+        <Route path="/:lng/account" element={<Account />} />
+        <Route path="/:lng/account/orders" element={<AccountOrders />} />
+        <Route path="/:lng/account/login" element={<Login />} />
+        <Route path="/:lng/account/register" element={<Register />} />
+        <Route path="/:lng/account/forgot-password" element={<ForgotPassword />} />
+        <Route path="/:lng/account/reset-password" element={<ResetPassword />} />
+        {/* Fallback for root to Japanese */}
+        <Route path="/" element={<Navigate to="/ja" replace />} />
+        {/* Fallback for non-language routes to Japanese */}
+        <Route path="/cars" element={<Navigate to="/ja/cars" replace />} />
+        <Route path="/cars/:id" element={<CarRedirect />} />
+        <Route path="/about" element={<Navigate to="/ja/about" replace />} />
+        <Route path="/contact" element={<Navigate to="/ja/contact" replace />} />
+        <Route path="/favorites" element={<Navigate to="/ja/favorites" replace />} />
+        <Route path="/compare" element={<LocalizedRedirect />} />
+        <Route path="/account/*" element={<LocalizedRedirect />} />
+        {/* Catch-all for invalid routes — proper 404 */}
+        <Route path="/:lng/*" element={<NotFound />} />
+        <Route path="*" element={<NotFound />} />
+      </Routes>
+      <Footer />
+    </div>
   );
 }
 
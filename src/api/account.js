@@ -0,0 +1,80 @@
+// src/api/account.js
+// Buyer accounts — Strapi users-permissions auth + apna profile (/api/profile)
+import { ApiError, request } from './client';
+
+// Strapi snake_case -> front end camelCase
+const normalizeProfile = (data) => ({
+  id: data.id,
+  email: data.email,
+  name: data.full_name || '',
+  country: data.country || '',
+  whatsapp: data.whatsapp || '',
+  currency: data.preferred_currency || 'JPY',
+});
+
+// Profile form ke field names — server ke { full_name: 'too_long' } errors inhi par dikhte hain
+const PROFILE_FIELDS = { name: 'full_name', country: 'country', whatsapp: 'whatsapp', currency: 'preferred_currency' };
+
+// Auth endpoints ka { jwt, user }
+const toSession = (body) => ({ jwt: body.jwt || null, user: normalizeProfile(body.user) });
+
+// POST /api/auth/local -> { jwt, user }
+export const login = async ({ email, password }) => {
+  const body = await request('/auth/local', { method: 'post', data: { identifier: email.trim(), password } });
+  return toSession(body);
+};
+
+/**
+ * POST /api/auth/local/register -> { jwt, user }
+ * Admin mein email confirmation on ho to sirf { user } aata hai (jwt nahi).
+ * Username alag se nahi maangte — email hi username hai.
+ */
+export const register = async ({ email, password, name, country, currency }) => {
+  const body = await request('/auth/local/register', {
+    method: 'post',
+    data: {
+      username: email.trim().toLowerCase(),
+      email: email.trim(),
+      password,
+      full_name: name.trim(),
+      country: country.trim() || undefined,
+      preferred_currency: currency,
+    },
+  });
+  return toSession(body);
+};
+
+// Account ho ya na ho, Strapi hamesha { ok: true } deta hai
+export const forgotPassword = ({ email }) =>
+  request('/auth/forgot-password', { method: 'post', data: { email: email.trim() } });
+
+// Email link ka ?code= -> { jwt, user }
+export const resetPassword = async ({ code, password, passwordConfirmation }) => {
+  const body = await request('/auth/reset-password', {
+    method: 'post',
+    data: { code, password, passwordConfirmation },
+  });
+  return toSession(body);
+};
+
+export const fetchProfile = async ({ signal } = {}) => {
+  const body = await request('/profile', { signal });
+  return normalizeProfile(body.data);
+};
+
+export const updateProfile = async (profile) => {
+  const data = Object.fromEntries(Object.entries(PROFILE_FIELDS).map(([field, key]) => [key, profile[field]]));
+  try {
+    const body = await request('/profile', { method: 'put', data: { data } });
+    return normalizeProfile(body.data);
+  } catch (err) {
+    if (err instanceof ApiError && err.fieldErrors) {
+      err.fieldErrors = Object.fromEntries(
+        Object.entries(PROFILE_FIELDS)
+          .filter(([, key]) => err.fieldErrors[key])
+          .map(([field, key]) => [field, err.fieldErrors[key]])
+      );
+    }
+    throw err;
+  }
+};
@@ -0,0 +1,231 @@
+// src/api/cars.js
+// Car endpoints + raw Strapi car -> ek Car model (Home, Cars, CarDetail sab yahi use karte hain)
+import { request, ApiError } from './client';
+import { normalizeMedia, isVideo } from './media';
+import { SOLD_STATUSES } from '../utils/saleStatus';
+
+// Listing cards: photos + sirf video ka mime ("video available" badge ke liye)
+const LIST_POPULATE = {
+  image: true,
+  car_detail: { fields: ['id'], populate: { video: { fields: ['mime', 'url'] } } },
+};
+
+const DETAIL_POPULATE = {
+  image: true,
+  car_detail: { populate: { video: true } },
+};
+
+// Freight tables size par hain — car par shipping_size na ho to category se andaza
+const SHIPPING_SIZE_BY_CATEGORY = {
+  light_truck: 'medium',
+  truck: 'large',
+  dump_truck: 'large',
+  excavator: 'extra_large',
+};
+
+// bigintegers string mein aate hain; khali / galat value -> null
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isNaN(num) ? null : num;
+};
+
+const normalizeDetail = (detail) => {
+  if (!detail) return null;
+  return {
+    documentId: detail.documentId,
+    year: detail.year || null,
+    location: detail.location || null,
+    transmission: detail.transmission || null,
+    shaken: detail.shaken || null,
+    kittsu: detail.kittsu || null,
+    condition: detail.condition || null,
+    note: detail.note || null,
+    specs: detail.specs || null,
+    description: detail.description || null,
+    chassisNumber: detail.chassis_number || null,
+    modelCode: detail.model_code || null,
+    fuel: detail.fuel || null,
+    weightKg: toNumber(detail.weight_kg),
+    engineCc: toNumber(detail.engine_cc),
+    hours: toNumber(detail.hours), // Machinery ka hour meter (km nahi)
+    video: normalizeMedia(detail.video),
+  };
+};
+
+/**
+ * Raw Strapi car -> Car model.
+ * `media` mein photos pehle, phir videos — car-detail ki walk-around video
+ * bhi, agar media field mein pehle se na ho.
+ */
+export const normalizeCar = (raw) => {
+  const detail = normalizeDetail(raw.car_detail);
+  const files = (raw.image || []).map(normalizeMedia).filter(Boolean);
+  const videos = files.filter(isVideo);
+  if (detail?.video && !videos.some((file) => file.id === detail.video.id)) videos.push(detail.video);
+  const photos = files.filter((file) => !isVideo(file));
+
+  return {
+    id: raw.id,
+    documentId: raw.documentId,
+    slug: raw.slug || null,
+    title: raw.title || '', // Localized — locale ke hisaab se aata hai
+    // Stock JPY mein hai; purani cars mein flags khali ho sakte hain (Strapi defaults)
+    price: {
+      amount: toNumber(raw.price),
+      currency: raw.price_currency || 'JPY',
+      taxIncluded: raw.price_tax_included ?? true,
+      negotiable: Boolean(raw.price_negotiable),
+    },
+    year: toNumber(raw.year),
+    mileage: toNumber(raw.mileage),
+    category: raw.category || null,
+    maker: raw.maker || null,
+    prefecture: raw.prefecture || null,
+    transmissionType: raw.transmission_type || null,
+    shippingSize: raw.shipping_size || SHIPPING_SIZE_BY_CATEGORY[raw.category] || 'medium',
+    shakenValidUntil: raw.shaken_valid_until || null,
+    saleStatus: raw.sale_status || 'available', // Purani cars mein field khali ho sakti hai
+    saleStatusChangedAt: raw.sale_status_changed_at || null,
+    soldAt: raw.sold_at || null,
+    media: [...photos, ...videos],
+    cover: photos[0] || null,
+    hasVideo: videos.length > 0,
+    detail,
+  };
+};
+
+/**
+ * GET /api/cars — one listing page.
+ * filters: Strapi `filters` object (see utils/carFilters), sort: e.g. 'year:desc'
+ */
+export const fetchCars = async ({ locale, filters, sort, page = 1, pageSize = 12, signal } = {}) => {
+  const body = await request('/cars', {
+    params: {
+      locale,
+      filters,
+      sort,
+      populate: LIST_POPULATE,
+      pagination: { page, pageSize },
+    },
+    signal,
+  });
+  return {
+    cars: body.data.map(normalizeCar),
+    pagination: body.meta?.pagination || null,
+  };
+};
+
+// Home page ke featured cars — sirf jo abhi bik sakti hain
+export const fetchFeaturedCars = async ({ locale, limit = 3, signal } = {}) => {
+  const { cars } = await fetchCars({
+    locale,
+    filters: { sale_status: { $notIn: SOLD_STATUSES } },
+    pageSize: limit,
+    signal,
+  });
+  return cars;
+};
+
+// Home page ka "Recently sold" — naye pehle
+export const fetchRecentlySoldCars = async ({ locale, limit = 4, signal } = {}) => {
+  const { cars } = await fetchCars({
+    locale,
+    filters: { sale_status: { $in: SOLD_STATUSES } },
+    sort: 'sold_at:desc',
+    pageSize: limit,
+    signal,
+  });
+  return cars;
+};
+
+// Favorites page — saved cars jo abhi bhi published hain (order caller ka kaam)
+export const fetchCarsByDocumentIds = async ({ documentIds, locale, signal }) => {
+  const { cars } = await fetchCars({
+    locale,
+    filters: { documentId: { $in: documentIds } },
+    pageSize: documentIds.length,
+    signal,
+  });
+  return cars;
+};
+
+// Compare page — car-detail fields (shaken, kittsu, engine, ...) ke saath
+export const fetchCarsForComparison = async ({ documentIds, locale, signal }) => {
+  const body = await request('/cars', {
+    params: {
+      locale,
+      filters: { documentId: { $in: documentIds } },
+      populate: DETAIL_POPULATE,
+      pagination: { pageSize: documentIds.length },
+    },
+    signal,
+  });
+  return body.data.map(normalizeCar);
+};
+
+// Returns null for 404 (missing, unpublished or not in this locale) — baaki errors throw hote hain
+const orNull = (promise) =>
+  promise.catch((err) => {
+    if (err instanceof ApiError && err.kind === 'not_found') return null;
+    throw err;
+  });
+
+// Strapi v5 documentIds: 24 lowercase letters/digits (slugs mein dash hota hai)
+const DOCUMENT_ID_PATTERN = /^[a-z0-9]{24}$/;
+
+// GET /api/cars/:documentId — ek car, car-detail ke saath
+const fetchCarByDocumentId = async ({ value, locale, signal }) => {
+  const body = await orNull(
+    request(`/cars/${encodeURIComponent(value)}`, {
+      params: { locale, populate: DETAIL_POPULATE },
+      signal,
+    })
+  );
+  return body?.data ? normalizeCar(body.data) : null;
+};
+
+const fetchCarBySlug = async ({ value, locale, signal }) => {
+  const body = await request('/cars', {
+    params: { locale, filters: { slug: { $eq: value } }, populate: DETAIL_POPULATE },
+    signal,
+  });
+  return body.data[0] ? normalizeCar(body.data[0]) : null;
+};
+
+/**
+ * Detail page lookup — `idOrSlug` slug (canonical URL) ya documentId
+ * (purane links) ho sakta hai. Na mile to null.
+ */
+export const fetchCar = async ({ idOrSlug, locale, signal }) => {
+  const lookups = DOCUMENT_ID_PATTERN.test(idOrSlug)
+    ? [fetchCarByDocumentId, fetchCarBySlug]
+    : [fetchCarBySlug, fetchCarByDocumentId];
+
+  for (const lookup of lookups) {
+    const car = await lookup({ value: idOrSlug, locale, signal });
+    if (car) return car;
+  }
+  return null;
+};
+
+// Purane numeric-id URLs (/cars/12) ke liye slug (ya documentId) — na mile to null
+export const resolveLegacyCarId = async ({ id, signal }) => {
+  const body = await orNull(request(`/cars/legacy/${encodeURIComponent(id)}`, { signal }));
+  return body?.data?.slug || body?.data?.documentId || null;
+};
+
+// Contact page ka "inquiry about …" label
+export const fetchCarTitle = async ({ documentId, locale, signal }) => {
+  const body = await request('/cars', {
+    params: { locale, filters: { documentId: { $eq: documentId } }, fields: ['title'] },
+    signal,
+  });
+  return body.data[0]?.title || '';
+};
+
+// GET /api/cars/facets — filter sidebar counts
+export const fetchCarFacets = async ({ locale, filters, signal } = {}) => {
+  const body = await request('/cars/facets', { params: { locale, filters }, signal });
+  return body.data;
+};
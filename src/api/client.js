@@ -0,0 +1,88 @@
+// src/api/client.js
+// Strapi REST client — base URL, request building aur error typing ek jagah
+import axios from 'axios';
+
+export const STRAPI_URL = import.meta.env.VITE_STRAPI_URL || 'http://localhost:1337';
+
+const http = axios.create({ baseURL: `${STRAPI_URL}/api` });
+
+// Logged-in buyer ka JWT (users-permissions) — set ho to har request ke saath jata hai
+let authToken = null;
+
+export const setAuthToken = (token) => {
+  authToken = token || null;
+};
+
+export const getAuthToken = () => authToken;
+
+// JWT expire / revoke ho jaye (401) to session khatam karne wala callback (src/utils/auth.js)
+let authExpiredHandler = null;
+
+export const onAuthExpired = (handler) => {
+  authExpiredHandler = handler;
+};
+
+/**
+ * Every failed request is rethrown as an ApiError so pages can branch on
+ * `kind` instead of digging through axios internals.
+ *
+ * kind: 'network' | 'not_found' | 'validation' | 'unauthorized' | 'server'
+ */
+export class ApiError extends Error {
+  constructor(message, { kind, status = null, details = null, fieldErrors = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.details = details;
+    // { field: errorCode } — inquiry jaise forms ke liye (400)
+    this.fieldErrors = fieldErrors;
+    this.cause = cause;
+  }
+}
+
+const errorKind = (status) => {
+  if (status === 404) return 'not_found';
+  if (status === 400) return 'validation';
+  if (status === 401 || status === 403) return 'unauthorized';
+  return 'server';
+};
+
+const toApiError = (err) => {
+  if (!err.response) {
+    return new ApiError(err.message || 'Network error', { kind: 'network', cause: err });
+  }
+  const { status, data } = err.response;
+  const details = data?.error?.details || null;
+  // Custom validators `details.errors` mein { field: code } bhejte hain,
+  // Strapi ki apni validation array bhejti hai
+  const fieldErrors = details?.errors && !Array.isArray(details.errors) ? details.errors : null;
+  return new ApiError(data?.error?.message || err.message, {
+    kind: errorKind(status),
+    status,
+    details,
+    fieldErrors,
+    cause: err,
+  });
+};
+
+/**
+ * request('/cars', { params }) — returns the JSON body (`{ data, meta }`).
+ * `params` nested objects hote hain (filters, populate); axios unhein
+ * Strapi ke bracket format (`filters[title][$containsi]=…`) mein bhejta hai.
+ */
+export const request = async (path, { method = 'get', params, data, signal } = {}) => {
+  try {
+    const headers = authToken ? { Authorization: `Bearer ${authToken}` } : undefined;
+    const response = await http.request({ url: path, method, params, data, headers, signal });
+    return response.data;
+  } catch (err) {
+    // Purana token public routes par bhi 401 deta hai — session hata kar bina token dobara
+    if (authToken && err.response?.status === 401) {
+      authToken = null;
+      authExpiredHandler?.();
+      return request(path, { method, params, data, signal });
+    }
+    throw toApiError(err);
+  }
+};
@@ -0,0 +1,15 @@
+// src/api/favorites.js
+// Logged-in buyer ki saved cars (Strapi /api/favorites — users-permissions JWT chahiye)
+import { request } from './client';
+
+// GET /api/favorites -> [documentId, ...]
+export const fetchFavorites = async ({ signal } = {}) => {
+  const body = await request('/favorites', { signal });
+  return body.data || [];
+};
+
+// PUT /api/favorites — poori list replace hoti hai
+export const saveFavorites = async (documentIds) => {
+  const body = await request('/favorites', { method: 'put', data: { data: documentIds } });
+  return body.data || [];
+};
@@ -0,0 +1,48 @@
+// src/api/freight.js
+// Freight Rate tables — CarDetail ka CIF estimator
+import { request } from './client';
+
+// bigintegers string mein aate hain
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : 0;
+};
+
+const normalizeFreightRate = (raw) => ({
+  id: raw.id,
+  port: raw.port,
+  country: raw.country,
+  method: raw.method, // 'roro' | 'container'
+  size: raw.size,
+  freight: toNumber(raw.freight),
+  exportHandling: toNumber(raw.export_handling),
+  insurancePercent: toNumber(raw.insurance_percent),
+  transitDays: raw.transit_days ?? null,
+});
+
+// Strapi ka maxLimit (my-strapi/config/api.ts) — isse bada pageSize chupchap cap ho jata hai
+const PAGE_SIZE = 100;
+
+/**
+ * GET /api/freight-rates — ek vehicle size ke saare ports/methods, saare pages.
+ * Staff ne table na bhari ho to khali array (estimator chhup jata hai).
+ */
+export const fetchFreightRates = async ({ size, signal } = {}) => {
+  const rates = [];
+  let page = 1;
+  let pageCount = 1;
+  do {
+    const body = await request('/freight-rates', {
+      params: {
+        filters: { size: { $eq: size } },
+        sort: ['country:asc', 'port:asc', 'id:asc'], // id — pages ke beech stable order
+        pagination: { page, pageSize: PAGE_SIZE },
+      },
+      signal,
+    });
+    rates.push(...body.data.map(normalizeFreightRate));
+    pageCount = body.meta?.pagination?.pageCount || 1;
+    page += 1;
+  } while (page <= pageCount);
+  return rates;
+};
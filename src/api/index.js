@@ -0,0 +1,21 @@
+// src/api — front end ka Strapi layer; pages seedha axios nahi chalate
+export { STRAPI_URL, ApiError, setAuthToken, getAuthToken, onAuthExpired } from './client';
+export { mediaUrl, isVideo } from './media';
+export {
+  fetchCars,
+  fetchFeaturedCars,
+  fetchRecentlySoldCars,
+  fetchCarsByDocumentIds,
+  fetchCarsForComparison,
+  fetchCar,
+  fetchCarTitle,
+  fetchCarFacets,
+  resolveLegacyCarId,
+} from './cars';
+export { submitInquiry } from './inquiries';
+export { CURRENCIES, fetchExchangeRates } from './rates';
+export { fetchFreightRates } from './freight';
+export { fetchFavorites, saveFavorites } from './favorites';
+export { login, register, forgotPassword, resetPassword, fetchProfile, updateProfile } from './account';
+export { ORDER_STEPS, fetchMyOrders, fetchOrderDocumentUrl, fetchMyInquiries } from './orders';
+export { useQuery } from './useQuery';
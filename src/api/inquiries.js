@@ -0,0 +1,8 @@
+// src/api/inquiries.js
+import { request } from './client';
+
+// POST /api/inquiries — 400 par server ke field errors `err.fieldErrors` mein milte hain
+export const submitInquiry = async (data) => {
+  const body = await request('/inquiries', { method: 'post', data: { data } });
+  return body.data;
+};
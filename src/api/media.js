@@ -0,0 +1,38 @@
+// src/api/media.js
+// Strapi media -> absolute URLs; car `image` field photos aur videos dono rakhta hai
+
+import { STRAPI_URL } from './client';
+
+// Strapi responsive formats, chhote se bade
+const FORMAT_NAMES = ['thumbnail', 'small', 'medium', 'large'];
+
+// Local upload provider relative URL deta hai, cloud providers absolute
+export const mediaUrl = (url) => {
+  if (!url) return null;
+  return /^https?:\/\//.test(url) ? url : `${STRAPI_URL}${url}`;
+};
+
+// mime "video/mp4" waghera; file null bhi ho sakti hai (video nahi lagi)
+export const isVideo = (file) => Boolean(file?.mime?.startsWith('video/'));
+
+/**
+ * Raw upload file -> { id, url, mime, alt, width, height, previewUrl, formats }
+ * `formats` sirf woh sizes rakhta hai jo Strapi ne generate kiye (chhote se bade).
+ */
+export const normalizeMedia = (file) => {
+  if (!file?.url) return null;
+  return {
+    id: file.id,
+    url: mediaUrl(file.url),
+    mime: file.mime || null,
+    alt: file.alternativeText || '',
+    width: file.width || null,
+    height: file.height || null,
+    previewUrl: mediaUrl(file.previewUrl),
+    formats: FORMAT_NAMES.filter((name) => file.formats?.[name]).map((name) => ({
+      name,
+      url: mediaUrl(file.formats[name].url),
+      width: file.formats[name].width,
+    })),
+  };
+};
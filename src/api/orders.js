@@ -0,0 +1,75 @@
+// src/api/orders.js
+// Buyer dashboard — apne orders aur inquiries (users-permissions JWT chahiye)
+import { request } from './client';
+import { isVideo, mediaUrl, normalizeMedia } from './media';
+
+/**
+ * Export timeline ke steps, order mein. Staff har step ki date Strapi admin
+ * mein bharte hain — date ho to step complete.
+ */
+export const ORDER_STEPS = [
+  { key: 'deposit_received', field: 'deposit_received_at' },
+  { key: 'export_certificate_issued', field: 'export_certificate_issued_at' },
+  { key: 'booked_on_vessel', field: 'booked_on_vessel_at' },
+  { key: 'bl_issued', field: 'bl_issued_at' },
+  { key: 'arrived', field: 'arrived_at' },
+];
+
+const normalizeOrderCar = (raw) => {
+  if (!raw) return null;
+  const photo = (raw.image || []).map(normalizeMedia).find((file) => file && !isVideo(file));
+  return { documentId: raw.documentId, slug: raw.slug || null, title: raw.title || '', cover: photo || null };
+};
+
+const normalizeOrder = (raw) => ({
+  documentId: raw.documentId,
+  number: raw.order_number || null,
+  status: raw.order_status || 'reserved',
+  car: normalizeOrderCar(raw.car),
+  // Car unlink / delete ho jaye to staff ka likha title
+  carTitle: raw.car?.title || raw.car_title || '',
+  steps: ORDER_STEPS.map((step) => ({ key: step.key, date: raw[step.field] || null })),
+  destinationPort: raw.destination_port || null,
+  vesselName: raw.vessel_name || null,
+  eta: raw.eta || null,
+  note: raw.buyer_note || null,
+  // Export papers — sirf naam/size; download link alag se (fetchOrderDocumentUrl)
+  documents: (raw.documents || []).map((doc) => ({
+    id: doc.id,
+    type: doc.type,
+    name: doc.name,
+    ext: doc.ext || '',
+    size: doc.size || null, // KB (Strapi)
+  })),
+  createdAt: raw.createdAt,
+  updatedAt: raw.updatedAt,
+});
+
+// GET /api/orders — sirf logged-in buyer ke, naye pehle
+export const fetchMyOrders = async ({ signal } = {}) => {
+  const body = await request('/orders', { signal });
+  return (body.data || []).map(normalizeOrder);
+};
+
+/**
+ * GET /api/orders/:id/documents/:fileId -> kuch minute chalne wala download URL.
+ * Har click par naya mangwao — purana link expire ho chuka hoga.
+ */
+export const fetchOrderDocumentUrl = async ({ orderId, fileId }) => {
+  const body = await request(`/orders/${orderId}/documents/${fileId}`);
+  return mediaUrl(body.data.url);
+};
+
+// GET /api/inquiries/mine — login hote hue bheji gayi inquiries
+export const fetchMyInquiries = async ({ signal } = {}) => {
+  const body = await request('/inquiries/mine', { signal });
+  return (body.data || []).map((raw) => ({
+    documentId: raw.documentId,
+    message: raw.message,
+    intent: raw.intent || 'general',
+    status: raw.inquiry_status || 'new',
+    car: raw.car ? { documentId: raw.car.documentId, slug: raw.car.slug || null } : null,
+    carTitle: raw.car_title || '',
+    createdAt: raw.createdAt,
+  }));
+};
@@ -0,0 +1,110 @@
+// src/api/queryCache.js
+// Shared in-memory query cache — pages ke beech data reuse hota hai
+// (Home → Cars → CarDetail → back par dobara loading nahi)
+import { ApiError } from './client';
+
+// Itni der tak data "fresh" hai — mount par dobara fetch nahi hota
+export const DEFAULT_STALE_TIME = 30 * 1000;
+// Bina subscriber ke entry itni der baad cache se nikal jati hai
+const GC_TIME = 5 * 60 * 1000;
+
+const RETRY_COUNT = 3;
+const RETRY_BASE_DELAY = 500; // 500ms, 1s, 2s
+
+const EMPTY_ENTRY = Object.freeze({ data: undefined, error: null, updatedAt: 0, promise: null });
+
+const entries = new Map();
+const listeners = new Map();
+
+const notify = (key) => listeners.get(key)?.forEach((listener) => listener());
+
+// Entries immutable hain taake useSyncExternalStore ko naya snapshot mile
+const setEntry = (key, changes) => {
+  entries.set(key, { ...(entries.get(key) || EMPTY_ENTRY), ...changes });
+  notify(key);
+};
+
+const collectGarbage = () => {
+  const now = Date.now();
+  entries.forEach((entry, key) => {
+    if (!listeners.get(key)?.size && !entry.promise && now - entry.updatedAt > GC_TIME) entries.delete(key);
+  });
+};
+
+export const getQueryEntry = (key) => entries.get(key) || EMPTY_ENTRY;
+
+export const subscribeQuery = (key, listener) => {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+  return () => {
+    listeners.get(key).delete(listener);
+    if (!listeners.get(key).size) listeners.delete(key);
+  };
+};
+
+// 404 / validation jaise errors dobara try karne se theek nahi hote
+const isRetryable = (error) => !(error instanceof ApiError) || ['network', 'server'].includes(error.kind);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const withRetry = async (fetcher) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fetcher();
+    } catch (error) {
+      if (attempt >= RETRY_COUNT || !isRetryable(error)) throw error;
+      await wait(RETRY_BASE_DELAY * 2 ** attempt);
+    }
+  }
+};
+
+/**
+ * Run `fetcher` for `key` and store the result. Ek hi key ki parallel
+ * requests ek promise share karti hain (deduplication). Purana data error
+ * ke baad bhi cache mein rehta hai.
+ */
+export const fetchQuery = (key, fetcher) => {
+  const current = getQueryEntry(key);
+  if (current.promise) return current.promise;
+
+  const promise = withRetry(fetcher).then(
+    (data) => {
+      setEntry(key, { data, error: null, updatedAt: Date.now(), promise: null });
+      collectGarbage();
+      return data;
+    },
+    (error) => {
+      setEntry(key, { error, promise: null });
+      throw error;
+    }
+  );
+  setEntry(key, { promise, error: null });
+  return promise;
+};
+
+export const isStale = (entry, staleTime) => !entry.updatedAt || Date.now() - entry.updatedAt >= staleTime;
+
+// --- Pre-render support (src/entry-server.jsx, scripts/prerender.js) ---
+
+// Server render ke dauran shuru hui queries — entry-server inka wait karta hai
+export const pendingQueries = () => [...entries.values()].map((entry) => entry.promise).filter(Boolean);
+
+// { key: data } — pre-rendered HTML mein embed hota hai
+export const dehydrateQueries = () => {
+  const state = {};
+  entries.forEach((entry, key) => {
+    if (entry.data !== undefined) state[key] = entry.data;
+  });
+  return state;
+};
+
+// Browser mein pre-rendered data cache mein daalo. updatedAt 0 = stale, to
+// build ke baad badla data mount par background mein refresh ho jata hai
+export const hydrateQueries = (state = {}) => {
+  Object.entries(state).forEach(([key, data]) => {
+    entries.set(key, { ...EMPTY_ENTRY, data });
+  });
+};
+
+// Har pre-rendered page apna data khud fetch kare, pichle page ka embed na ho
+export const clearQueries = () => entries.clear();
@@ -0,0 +1,25 @@
+// src/api/rates.js
+// Exchange Rate single type — prices visitor ki currency mein (approx.)
+import { request, ApiError } from './client';
+
+// Navbar switcher ki currencies; JPY ke ilawa har ek Strapi mein ek field hai
+export const CURRENCIES = ['JPY', 'USD', 'EUR', 'AED', 'PKR', 'KES', 'TZS'];
+
+/**
+ * GET /api/exchange-rate -> { rates: { USD: 150.25, PKR: 0.53, ... }, updatedAt }
+ * Rates = yen per 1 unit. Staff ne abhi save nahi kiye (404) to rates khali.
+ */
+export const fetchExchangeRates = async ({ signal } = {}) => {
+  try {
+    const body = await request('/exchange-rate', { signal });
+    const rates = {};
+    CURRENCIES.forEach((code) => {
+      const rate = Number(body.data?.[code.toLowerCase()]);
+      if (rate > 0) rates[code] = rate;
+    });
+    return { rates, updatedAt: body.data?.updatedAt || null };
+  } catch (err) {
+    if (err instanceof ApiError && err.kind === 'not_found') return { rates: {}, updatedAt: null };
+    throw err;
+  }
+};
@@ -0,0 +1,60 @@
+// src/api/useQuery.js
+// React hook over the query cache: cached data turant, stale ho to background revalidate
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import { DEFAULT_STALE_TIME, fetchQuery, getQueryEntry, isStale, subscribeQuery } from './queryCache';
+
+const isServer = typeof window === 'undefined';
+
+/**
+ * const { data, error, isLoading, isFetching } = useQuery(['cars', params], () => fetchCars(params));
+ *
+ * key: JSON-serializable array (endpoint naam + params)
+ * options.enabled: false ho to fetch nahi hota
+ * options.staleTime: ms — is se purana data mount par revalidate hota hai
+ * options.keepPreviousData: key badalne par naya data aane tak pichla dikhao
+ *   (Cars pagination/filters par grid flash na kare)
+ */
+export function useQuery(key, fetcher, { enabled = true, staleTime = DEFAULT_STALE_TIME, keepPreviousData = false } = {}) {
+  const cacheKey = JSON.stringify(key);
+  const subscribe = useCallback((listener) => subscribeQuery(cacheKey, listener), [cacheKey]);
+  const getSnapshot = useCallback(() => getQueryEntry(cacheKey), [cacheKey]);
+  // Server snapshot bhi wahi cache — pre-render aur hydration same data dekhte hain
+  const entry = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+
+  // Pre-render: server par effects nahi chalte, isliye render mein hi fetch
+  // shuru karo; entry-server in queries ka wait karke dobara render karta hai
+  if (isServer && enabled && entry.data === undefined && !entry.error && !entry.promise) {
+    fetchQuery(cacheKey, fetcher).catch(() => {});
+  }
+
+  // Latest fetcher — har render par naya function aata hai, effect dobara na chale
+  const fetcherRef = useRef(fetcher);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    const current = getQueryEntry(cacheKey);
+    if (current.promise || !isStale(current, staleTime)) return;
+    // Error entry mein store hota hai — yahan sirf unhandled rejection se bachna hai
+    fetchQuery(cacheKey, () => fetcherRef.current()).catch(() => {});
+  }, [cacheKey, enabled, staleTime]);
+
+  const [previousData, setPreviousData] = useState(undefined);
+  useEffect(() => {
+    if (keepPreviousData && entry.data !== undefined) setPreviousData(entry.data);
+  }, [keepPreviousData, entry.data]);
+
+  const hasData = entry.data !== undefined;
+  const data = hasData ? entry.data : keepPreviousData ? previousData : undefined;
+
+  return {
+    data,
+    // Error tab hi jab dikhane ko koi data na ho
+    error: hasData ? null : entry.error,
+    isLoading: enabled && data === undefined && !entry.error,
+    isFetching: Boolean(entry.promise),
+    isPreviousData: !hasData && data !== undefined,
+  };
+}
@@ -0,0 +1,22 @@
+// AccountShell.jsx — login / register / password pages ka common frame: centered card, noindex
+import Layout from './Layout';
+import Seo from './Seo';
+
+export default function AccountShell({ title, subtitle, children, footer }) {
+  return (
+    <Layout>
+      {/* Account pages search results mein nahi */}
+      <Seo title={title} noindex />
+      <div className="min-h-screen bg-gray-50 py-16 px-6">
+        <div className="max-w-md mx-auto">
+          <div className="bg-white rounded-xl shadow-md p-8">
+            <h1 className="text-2xl font-bold text-gray-800">{title}</h1>
+            {subtitle && <p className="text-sm text-gray-600 mt-1">{subtitle}</p>}
+            <div className="mt-6">{children}</div>
+          </div>
+          {footer && <div className="text-center text-sm text-gray-600 mt-6 space-y-2">{footer}</div>}
+        </div>
+      </div>
+    </Layout>
+  );
+}
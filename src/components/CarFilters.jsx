@@ -0,0 +1,180 @@
+// CarFilters.jsx — Cars page filter sidebar (facets + counts from /api/cars/facets)
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { VALUE_FACETS, RANGE_FACETS, SHAKEN_VALUES } from '../utils/carFilters';
+
+// "nara" -> "Nara"
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+function RangeFilter({ label, range, bounds, values, onApply }) {
+  const { t } = useTranslation();
+  const currentMin = values[range.min] ?? '';
+  const currentMax = values[range.max] ?? '';
+  const [min, setMin] = useState(currentMin);
+  const [max, setMax] = useState(currentMax);
+
+  // URL badle (clear all / back button) to inputs bhi reset hon
+  useEffect(() => {
+    setMin(currentMin);
+    setMax(currentMax);
+  }, [currentMin, currentMax]);
+
+  const apply = () => {
+    if (String(min) === String(currentMin) && String(max) === String(currentMax)) return;
+    onApply({ [range.min]: min || null, [range.max]: max || null });
+  };
+
+  return (
+    <fieldset className="mb-6">
+      <legend className="font-semibold text-gray-800 mb-2">{label}</legend>
+      <div className="flex items-center gap-2">
+        <input
+          type="number"
+          inputMode="numeric"
+          value={min}
+          placeholder={bounds?.min != null ? String(bounds.min) : t('filter_min')}
+          onChange={(e) => setMin(e.target.value)}
+          onBlur={apply}
+          onKeyDown={(e) => e.key === 'Enter' && apply()}
+          className="w-full px-2 py-1 border rounded focus:ring focus:ring-green-300 outline-none"
+        />
+        <span className="text-gray-400">–</span>
+        <input
+          type="number"
+          inputMode="numeric"
+          value={max}
+          placeholder={bounds?.max != null ? String(bounds.max) : t('filter_max')}
+          onChange={(e) => setMax(e.target.value)}
+          onBlur={apply}
+          onKeyDown={(e) => e.key === 'Enter' && apply()}
+          className="w-full px-2 py-1 border rounded focus:ring focus:ring-green-300 outline-none"
+        />
+      </div>
+    </fieldset>
+  );
+}
+
+export default function CarFilters({ facets, filters, onChange, onClear }) {
+  const { t } = useTranslation();
+
+  // Facet value ka label — unknown values (e.g. naya maker) as-is dikhte hain
+  const valueLabel = (param, value) => {
+    if (param === 'maker') return value;
+    return t(`${param}_${value}`, { defaultValue: capitalize(value) });
+  };
+
+  const toggleValue = (param, value) => {
+    const current = filters[param];
+    const next = current.includes(value)
+      ? current.filter((item) => item !== value)
+      : [...current, value];
+    onChange({ [param]: next.length ? next.join(',') : null });
+  };
+
+  return (
+    <aside className="bg-white rounded-xl shadow p-5">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-bold text-gray-800">{t('filters_title')}</h2>
+        <button
+          type="button"
+          onClick={onClear}
+          className="text-sm text-green-600 hover:underline"
+        >
+          {t('filters_clear')}
+        </button>
+      </div>
+
+      {/* Checkbox facets */}
+      {Object.entries(VALUE_FACETS).map(([param, field]) => {
+        const options = facets?.[field] || [];
+        // Selected values jinke count 0 ho gaye woh bhi dikhte rahein
+        const selectedOnly = filters[param]
+          .filter((value) => !options.some((option) => option.value === value))
+          .map((value) => ({ value, count: 0 }));
+        const rows = [...options, ...selectedOnly];
+
+        if (rows.length === 0) return null;
+
+        return (
+          <fieldset key={param} className="mb-6">
+            <legend className="font-semibold text-gray-800 mb-2">{t(`filter_${param}`)}</legend>
+            <ul className="space-y-1">
+              {rows.map(({ value, count }) => (
+                <li key={value}>
+                  <label className="flex items-center justify-between text-sm text-gray-700 cursor-pointer">
+                    <span className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={filters[param].includes(value)}
+                        onChange={() => toggleValue(param, value)}
+                        className="accent-green-600"
+                      />
+                      {valueLabel(param, value)}
+                    </span>
+                    <span className="text-gray-400">{count}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </fieldset>
+        );
+      })}
+
+      {/* Year / price ranges */}
+      <RangeFilter
+        label={t('filter_year')}
+        range={RANGE_FACETS.year}
+        bounds={facets?.year}
+        values={filters}
+        onApply={onChange}
+      />
+      <RangeFilter
+        label={t('filter_price')}
+        range={RANGE_FACETS.price}
+        bounds={facets?.price}
+        values={filters}
+        onApply={onChange}
+      />
+
+      {/* Shaken validity — single choice */}
+      <fieldset className="mb-6">
+        <legend className="font-semibold text-gray-800 mb-2">{t('filter_shaken')}</legend>
+        <ul className="space-y-1">
+          {SHAKEN_VALUES.map((value) => {
+            const count = facets?.shaken?.find((option) => option.value === value)?.count || 0;
+            return (
+              <li key={value}>
+                <label className="flex items-center justify-between text-sm text-gray-700 cursor-pointer">
+                  <span className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={filters.shaken === value}
+                      onChange={() => onChange({ shaken: filters.shaken === value ? null : value })}
+                      className="accent-green-600"
+                    />
+                    {t(`shaken_${value}`)}
+                  </span>
+                  <span className="text-gray-400">{count}</span>
+                </label>
+              </li>
+            );
+          })}
+        </ul>
+      </fieldset>
+
+      {/* Sold / exported units chhupane ke liye */}
+      <fieldset className="mb-2">
+        <legend className="font-semibold text-gray-800 mb-2">{t('filter_availability')}</legend>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={filters.hideSold}
+            onChange={() => onChange({ hideSold: filters.hideSold ? null : '1' })}
+            className="accent-green-600"
+          />
+          {t('filter_hide_sold')}
+        </label>
+      </fieldset>
+    </aside>
+  );
+}
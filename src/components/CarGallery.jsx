@@ -0,0 +1,245 @@
+// CarGallery.jsx — CarDetail media gallery (photos + videos, thumbnails, swipe, keyboard, lightbox)
+import { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { isVideo } from '../api';
+
+const SWIPE_THRESHOLD = 50; // px
+
+// "…/small_x.jpg 500w, …/medium_x.jpg 750w, …" — original bhi shamil
+const buildSrcSet = (image) => {
+  const sources = image.formats.map((format) => `${format.url} ${format.width}w`);
+  if (image.width) sources.push(`${image.url} ${image.width}w`);
+  return sources.join(', ');
+};
+
+// formats chhote se bade hain — pehla thumbnail, aakhri sabse bara
+const thumbnailUrl = (image) => image.formats[0]?.url || image.url;
+const largestUrl = (image) => image.formats[image.formats.length - 1]?.url || image.url;
+
+// Strapi videos ke liye formats nahi banata — `#t=0.1` se browser pehla frame
+// poster ki tarah dikhata hai (provider previewUrl de to woh behtar)
+const videoSrc = (video) => `${video.url}#t=0.1`;
+const videoPoster = (video) => video.previewUrl || undefined;
+
+export default function CarGallery({ media, title }) {
+  const { t } = useTranslation();
+  const [current, setCurrent] = useState(0);
+  const [lightboxOpen, setLightboxOpen] = useState(false);
+  const touchStartX = useRef(null);
+  const thumbsRef = useRef(null);
+
+  const total = media.length;
+
+  const next = () => setCurrent((p) => (p + 1) % total);
+  const prev = () => setCurrent((p) => (p - 1 + total) % total);
+
+  // Lightbox khula ho to keyboard poore page par kaam kare
+  useEffect(() => {
+    if (!lightboxOpen) return undefined;
+    const onKeyDown = (e) => {
+      if (e.key === 'ArrowRight') setCurrent((p) => (p + 1) % total);
+      if (e.key === 'ArrowLeft') setCurrent((p) => (p - 1 + total) % total);
+      if (e.key === 'Escape') setLightboxOpen(false);
+    };
+    document.addEventListener('keydown', onKeyDown);
+    // Background scroll band
+    const { overflow } = document.body.style;
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      document.body.style.overflow = overflow;
+    };
+  }, [lightboxOpen, total]);
+
+  // Active thumbnail hamesha nazar aaye
+  useEffect(() => {
+    const thumb = thumbsRef.current?.children[current];
+    thumb?.scrollIntoView?.({ block: 'nearest', inline: 'center', behavior: 'smooth' });
+  }, [current]);
+
+  const onKeyDown = (e) => {
+    // Video controls apni arrow keys (seek) khud handle karte hain
+    if (e.target.tagName === 'VIDEO') return;
+    if (e.key === 'ArrowRight') next();
+    if (e.key === 'ArrowLeft') prev();
+    if (e.key === 'Enter') setLightboxOpen(true);
+  };
+
+  const onTouchStart = (e) => {
+    touchStartX.current = e.touches[0].clientX;
+  };
+
+  const onTouchEnd = (e) => {
+    if (touchStartX.current === null) return;
+    const dx = e.changedTouches[0].clientX - touchStartX.current;
+    touchStartX.current = null;
+    if (dx > SWIPE_THRESHOLD) prev();
+    if (dx < -SWIPE_THRESHOLD) next();
+  };
+
+  if (total === 0) {
+    return (
+      <div className="w-full h-80 bg-gray-300 rounded-xl flex items-center justify-center">
+        <p className="text-gray-600">{t('gallery_no_image')}</p>
+      </div>
+    );
+  }
+
+  const item = media[current];
+  const navButton =
+    'absolute top-1/2 transform -translate-y-1/2 bg-black/40 text-white px-3 py-2 rounded-full hover:bg-black/60';
+
+  return (
+    <div>
+      {/* Main photo / video */}
+      <div
+        className="relative outline-none focus-visible:ring-4 focus-visible:ring-green-300 rounded-xl"
+        tabIndex={0}
+        onKeyDown={onKeyDown}
+        onTouchStart={onTouchStart}
+        onTouchEnd={onTouchEnd}
+        aria-roledescription="carousel"
+        aria-label={title}
+      >
+        {isVideo(item) ? (
+          <video
+            key={item.url}
+            src={videoSrc(item)}
+            poster={videoPoster(item)}
+            controls
+            playsInline
+            preload="metadata"
+            className="w-full h-100 object-contain bg-black rounded-xl shadow-lg"
+          />
+        ) : (
+          <img
+            src={largestUrl(item)}
+            srcSet={buildSrcSet(item)}
+            sizes="(min-width: 768px) 50vw, 100vw"
+            alt={item.alt || `${title} (${current + 1}/${total})`}
+            onClick={() => setLightboxOpen(true)}
+            className="w-full h-100 object-cover rounded-xl shadow-lg cursor-zoom-in"
+          />
+        )}
+
+        {total > 1 && (
+          <>
+            <button type="button" onClick={prev} aria-label={t('gallery_prev')} className={`${navButton} left-2`}>
+              ‹
+            </button>
+            <button type="button" onClick={next} aria-label={t('gallery_next')} className={`${navButton} right-2`}>
+              ›
+            </button>
+          </>
+        )}
+
+        <div className="absolute bottom-2 right-2 bg-black/50 text-white text-xs px-2 py-1 rounded">
+          {current + 1} / {total}
+        </div>
+      </div>
+
+      {/* Thumbnail strip */}
+      {total > 1 && (
+        <div ref={thumbsRef} className="flex gap-2 mt-3 overflow-x-auto pb-1">
+          {media.map((file, index) => (
+            <button
+              key={file.id || file.url}
+              type="button"
+              onClick={() => setCurrent(index)}
+              aria-label={t(isVideo(file) ? 'gallery_show_video' : 'gallery_show_image', { number: index + 1 })}
+              aria-current={index === current}
+              className={`relative flex-shrink-0 rounded-md overflow-hidden border-2 ${
+                index === current ? 'border-white' : 'border-transparent opacity-70 hover:opacity-100'
+              }`}
+            >
+              {isVideo(file) ? (
+                <>
+                  <video
+                    src={videoSrc(file)}
+                    poster={videoPoster(file)}
+                    muted
+                    preload="metadata"
+                    tabIndex={-1}
+                    className="w-20 h-14 object-cover bg-black pointer-events-none"
+                  />
+                  <span className="absolute inset-0 flex items-center justify-center text-white text-lg drop-shadow">
+                    ▶
+                  </span>
+                </>
+              ) : (
+                <img src={thumbnailUrl(file)} alt="" loading="lazy" className="w-20 h-14 object-cover" />
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Fullscreen lightbox */}
+      {lightboxOpen && (
+        <div
+          className="fixed inset-0 z-[60] bg-black/90 flex items-center justify-center"
+          role="dialog"
+          aria-modal="true"
+          aria-label={title}
+          onClick={() => setLightboxOpen(false)}
+          onTouchStart={onTouchStart}
+          onTouchEnd={onTouchEnd}
+        >
+          {isVideo(item) ? (
+            <video
+              key={item.url}
+              src={videoSrc(item)}
+              poster={videoPoster(item)}
+              controls
+              autoPlay
+              playsInline
+              onClick={(e) => e.stopPropagation()}
+              className="max-w-[95vw] max-h-[90vh]"
+            />
+          ) : (
+            <img
+              src={item.url}
+              alt={item.alt || title}
+              onClick={(e) => e.stopPropagation()}
+              className="max-w-[95vw] max-h-[90vh] object-contain"
+            />
+          )}
+
+          <button
+            type="button"
+            onClick={() => setLightboxOpen(false)}
+            aria-label={t('gallery_close')}
+            className="absolute top-4 right-4 text-white text-3xl px-3 hover:text-gray-300"
+          >
+            ×
+          </button>
+
+          {total > 1 && (
+            <>
+              <button
+                type="button"
+                onClick={(e) => { e.stopPropagation(); prev(); }}
+                aria-label={t('gallery_prev')}
+                className={`${navButton} left-4 text-2xl`}
+              >
+                ‹
+              </button>
+              <button
+                type="button"
+                onClick={(e) => { e.stopPropagation(); next(); }}
+                aria-label={t('gallery_next')}
+                className={`${navButton} right-4 text-2xl`}
+              >
+                ›
+              </button>
+            </>
+          )}
+
+          <div className="absolute bottom-4 left-1/2 -translate-x-1/2 text-white text-sm">
+            {current + 1} / {total}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+// CarInquiryForm.jsx — CarDetail page inquiry form (vehicle pre-filled)
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { submitInquiry } from '../api';
+import { validateInquiry, INQUIRY_INTENTS } from '../utils/inquiry';
+
+export default function CarInquiryForm({ car, priceLabel }) {
+  const { t, i18n } = useTranslation();
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+
+  // Default message mein car ka naam aur price — buyer edit kar sakta hai
+  const defaultMessage = t('inquiry_default_message', { title: car.title, price: priceLabel || '-' });
+
+  const [form, setForm] = useState({
+    name: '',
+    email: '',
+    phone: '',
+    intent: INQUIRY_INTENTS[0],
+    message: defaultMessage,
+  });
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState('idle'); // idle | sending | success | error
+
+  // Language/car badle to default message bhi update ho
+  useEffect(() => {
+    setForm((prev) => ({ ...prev, message: defaultMessage }));
+  }, [defaultMessage]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateInquiry(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setStatus('sending');
+    try {
+      await submitInquiry({ ...form, language: currentLanguage, car: car.documentId });
+      setStatus('success');
+    } catch (err) {
+      console.error('Inquiry submit error:', err);
+      if (err.fieldErrors) setErrors(err.fieldErrors);
+      setStatus('error');
+    }
+  };
+
+  const errorText = (field) =>
+    errors[field] ? t([`form_error_${field}_${errors[field]}`, `form_error_${errors[field]}`]) : null;
+
+  const inputClass = (field) =>
+    `w-full border rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-green-500 ${
+      errors[field] ? 'border-red-500' : 'border-gray-300'
+    }`;
+
+  if (status === 'success') {
+    return (
+      <div className="bg-white rounded-xl shadow-md p-8 text-center" role="status">
+        <span className="text-5xl">✅</span>
+        <h3 className="text-2xl font-bold text-gray-800 mt-4 mb-2">{t('form_success_title')}</h3>
+        <p className="text-gray-600">{t('form_success_desc')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="bg-white rounded-xl shadow-md p-8 space-y-5 text-left">
+      <div>
+        <h3 className="text-2xl font-bold text-gray-800">{t('purchase_title')}</h3>
+        <p className="text-gray-600 mt-1">{t('purchase_desc')}</p>
+      </div>
+
+      {/* Vehicle — read only, inquiry ke saath attach hota hai */}
+      <div className="bg-green-50 text-green-800 rounded-lg px-4 py-3 text-sm">
+        <p className="font-semibold">{car.title}</p>
+        {priceLabel && <p>{priceLabel}</p>}
+        <p className="text-xs text-green-700 mt-1">ID: {car.documentId}</p>
+      </div>
+
+      {/* Intent */}
+      <fieldset>
+        <legend className="block text-gray-700 font-medium mb-2">{t('inquiry_intent')}</legend>
+        <div className="flex flex-col sm:flex-row gap-2">
+          {INQUIRY_INTENTS.map((intent) => (
+            <label
+              key={intent}
+              className={`flex-1 cursor-pointer border rounded-lg px-3 py-2 text-sm ${
+                form.intent === intent ? 'border-green-600 bg-green-50 text-green-800' : 'border-gray-300'
+              }`}
+            >
+              <input
+                type="radio"
+                name="intent"
+                value={intent}
+                checked={form.intent === intent}
+                onChange={handleChange}
+                className="mr-2 accent-green-600"
+              />
+              {t(`inquiry_intent_${intent}`)}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="grid sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="car-inquiry-name" className="block text-gray-700 font-medium mb-2">{t('form_name')}</label>
+          <input
+            id="car-inquiry-name"
+            name="name"
+            type="text"
+            value={form.name}
+            onChange={handleChange}
+            placeholder={t('form_name_placeholder')}
+            className={inputClass('name')}
+          />
+          {errors.name && <p className="text-sm text-red-600 mt-1">{errorText('name')}</p>}
+        </div>
+        <div>
+          <label htmlFor="car-inquiry-email" className="block text-gray-700 font-medium mb-2">{t('form_email')}</label>
+          <input
+            id="car-inquiry-email"
+            name="email"
+            type="email"
+            value={form.email}
+            onChange={handleChange}
+            placeholder={t('form_email_placeholder')}
+            className={inputClass('email')}
+          />
+          {errors.email && <p className="text-sm text-red-600 mt-1">{errorText('email')}</p>}
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="car-inquiry-phone" className="block text-gray-700 font-medium mb-2">{t('form_phone')}</label>
+        <input
+          id="car-inquiry-phone"
+          name="phone"
+          type="tel"
+          value={form.phone}
+          onChange={handleChange}
+          placeholder={t('form_phone_placeholder')}
+          className={inputClass('phone')}
+        />
+        {errors.phone && <p className="text-sm text-red-600 mt-1">{errorText('phone')}</p>}
+      </div>
+
+      <div>
+        <label htmlFor="car-inquiry-message" className="block text-gray-700 font-medium mb-2">{t('form_message')}</label>
+        <textarea
+          id="car-inquiry-message"
+          name="message"
+          rows="4"
+          value={form.message}
+          onChange={handleChange}
+          className={inputClass('message')}
+        ></textarea>
+        {errors.message && <p className="text-sm text-red-600 mt-1">{errorText('message')}</p>}
+      </div>
+
+      {status === 'error' && (
+        <p className="text-sm text-red-600" role="alert">{t('form_error_submit')}</p>
+      )}
+
+      <button
+        type="submit"
+        disabled={status === 'sending'}
+        className="bg-green-600 text-white px-6 py-3 rounded-lg w-full hover:bg-green-700 transition disabled:opacity-60 disabled:cursor-not-allowed"
+      >
+        {status === 'sending' ? t('form_sending') : t('contact_form')}
+      </button>
+    </form>
+  );
+}
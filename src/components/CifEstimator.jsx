@@ -0,0 +1,112 @@
+// CifEstimator.jsx — CarDetail landed cost: destination port + RoRo/container -> FOB, freight, insurance, CIF
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { fetchFreightRates, useQuery } from '../api';
+import { useCurrency } from '../utils/currency';
+import { estimateCif } from '../utils/landedCost';
+import { formatYen } from '../utils/price';
+
+const METHODS = ['roro', 'container'];
+
+// Ek port ke kai rows (method wise) — dropdown mein ek baar
+const portKey = (rate) => `${rate.country}/${rate.port}`;
+
+export default function CifEstimator({ car }) {
+  const { t, i18n } = useTranslation();
+  const language = i18n.language.startsWith('ja') ? 'ja' : 'en';
+  const { currency, rates } = useCurrency();
+  const [selectedPort, setSelectedPort] = useState(null);
+  const [selectedMethod, setSelectedMethod] = useState('roro');
+
+  // Freight tables car ke shipping size ke hisaab se
+  const freightQuery = useQuery(['freightRates', { size: car.shippingSize }], () =>
+    fetchFreightRates({ size: car.shippingSize })
+  );
+  const freightRates = freightQuery.data || [];
+
+  // Tables khali hon ya fetch fail ho to widget hi nahi dikhta
+  if (freightRates.length === 0) return null;
+
+  const ports = [...new Map(freightRates.map((rate) => [portKey(rate), rate])).values()];
+  const port = selectedPort && ports.some((rate) => portKey(rate) === selectedPort) ? selectedPort : portKey(ports[0]);
+  const methods = METHODS.filter((method) =>
+    freightRates.some((rate) => portKey(rate) === port && rate.method === method)
+  );
+  const method = methods.includes(selectedMethod) ? selectedMethod : methods[0];
+  const rate = freightRates.find((row) => portKey(row) === port && row.method === method);
+
+  const money = (amount) => formatYen(amount, { t, language, currency, rates });
+  // ASK price par FOB/CIF nahi ban sakta — sirf freight
+  const estimate = car.price.amount ? estimateCif({ price: car.price.amount, rate }) : null;
+
+  const rows = estimate
+    ? [
+        { key: 'cif_fob', value: estimate.fob },
+        { key: 'cif_freight', value: estimate.freight },
+        { key: 'cif_insurance', value: estimate.insurance },
+      ]
+    : [{ key: 'cif_freight', value: rate.freight }];
+
+  return (
+    <section className="bg-white rounded-xl shadow-md p-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-1">{t('cif_title')}</h2>
+      <p className="text-sm text-gray-600 mb-5">{t('cif_subtitle')}</p>
+
+      <div className="grid sm:grid-cols-2 gap-4 mb-6">
+        <label className="block text-sm font-medium text-gray-700">
+          {t('cif_port')}
+          <select
+            value={port}
+            onChange={(e) => setSelectedPort(e.target.value)}
+            className="mt-1 w-full px-3 py-2 border rounded-lg focus:ring focus:ring-green-300 outline-none"
+          >
+            {ports.map((row) => (
+              <option key={portKey(row)} value={portKey(row)}>
+                {row.port}, {row.country}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <fieldset>
+          <legend className="text-sm font-medium text-gray-700">{t('cif_method')}</legend>
+          <div className="mt-1 flex gap-2">
+            {METHODS.map((value) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setSelectedMethod(value)}
+                disabled={!methods.includes(value)}
+                aria-pressed={method === value}
+                className={`flex-1 px-3 py-2 border rounded-lg text-sm ${
+                  method === value ? 'bg-green-600 text-white border-green-600' : 'bg-white hover:bg-gray-100'
+                } disabled:opacity-40 disabled:cursor-not-allowed`}
+              >
+                {t(`cif_method_${value}`)}
+              </button>
+            ))}
+          </div>
+        </fieldset>
+      </div>
+
+      <dl className="divide-y text-gray-700">
+        {rows.map((row) => (
+          <div key={row.key} className="flex justify-between py-2">
+            <dt>{t(row.key)}</dt>
+            <dd>{money(row.value)}</dd>
+          </div>
+        ))}
+        {estimate && (
+          <div className="flex justify-between py-3 text-lg font-bold text-gray-900">
+            <dt>{t('cif_total', { port: rate.port })}</dt>
+            <dd>{money(estimate.cif)}</dd>
+          </div>
+        )}
+      </dl>
+
+      {rate.transitDays > 0 && <p className="text-sm text-gray-600 mt-2">{t('cif_transit', { days: rate.transitDays })}</p>}
+      {!estimate && <p className="text-sm text-gray-600 mt-2">{t('cif_price_on_request')}</p>}
+      <p className="text-xs text-gray-500 mt-4">{t('cif_disclaimer')}</p>
+    </section>
+  );
+}
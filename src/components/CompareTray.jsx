@@ -0,0 +1,67 @@
+// CompareTray.jsx — Cars page ke neeche sticky tray: chuni hui cars (max 4) + "Compare" button
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { clearCompare, MAX_COMPARE, removeFromCompare, useCompare } from '../utils/compare';
+
+export default function CompareTray({ language }) {
+  const { t } = useTranslation();
+  const { items } = useCompare();
+
+  if (items.length === 0) return null;
+
+  const compareLink = `/${language}/compare?cars=${items.map((item) => item.documentId).join(',')}`;
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-40 bg-white border-t shadow-[0_-4px_12px_rgba(0,0,0,0.08)]">
+      <div className="container mx-auto px-6 lg:px-8 py-3 flex flex-col md:flex-row md:items-center gap-3">
+        <ul className="flex gap-3 overflow-x-auto flex-1">
+          {items.map((item) => (
+            <li key={item.documentId} className="relative flex items-center gap-2 bg-gray-100 rounded-lg pr-8 flex-shrink-0">
+              {item.image ? (
+                <img src={item.image} alt="" className="w-16 h-12 object-cover rounded-l-lg" />
+              ) : (
+                <div className="w-16 h-12 bg-gray-300 rounded-l-lg" />
+              )}
+              <span className="text-sm font-medium max-w-[10rem] truncate">{item.title}</span>
+              <button
+                type="button"
+                onClick={() => removeFromCompare(item.documentId)}
+                aria-label={t('compare_remove', { title: item.title })}
+                className="absolute top-1 right-2 text-gray-500 hover:text-gray-800"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+          {/* Khali slots — kitni aur add ho sakti hain */}
+          {Array.from({ length: MAX_COMPARE - items.length }, (_, index) => (
+            <li
+              key={`empty-${index}`}
+              className="hidden md:flex w-40 h-12 border-2 border-dashed rounded-lg flex-shrink-0 items-center justify-center text-xs text-gray-400"
+            >
+              {t('compare_add_more')}
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex items-center gap-3">
+          <button type="button" onClick={clearCompare} className="text-sm text-gray-600 hover:underline">
+            {t('compare_clear')}
+          </button>
+          {items.length >= 2 ? (
+            <Link
+              to={compareLink}
+              className="px-5 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700"
+            >
+              {t('compare_button', { count: items.length })}
+            </Link>
+          ) : (
+            <span className="px-5 py-2 bg-gray-200 text-gray-500 rounded-lg font-semibold cursor-not-allowed">
+              {t('compare_pick_more')}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+// FavoriteButton.jsx — heart toggle (Home/Cars cards, CarDetail); shortlist utils/favorites mein
+import { Heart } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { toggleFavorite, useFavorites } from '../utils/favorites';
+
+export default function FavoriteButton({ car, className = '' }) {
+  const { t } = useTranslation();
+  const { isFavorite } = useFavorites();
+  const saved = isFavorite(car.documentId);
+  const label = t(saved ? 'favorite_remove' : 'favorite_add');
+
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        // Card ke andar Link ho to navigate na kare
+        e.preventDefault();
+        e.stopPropagation();
+        toggleFavorite(car.documentId);
+      }}
+      aria-pressed={saved}
+      aria-label={label}
+      title={label}
+      className={`w-9 h-9 flex items-center justify-center rounded-full bg-white/90 shadow hover:bg-white transition ${className}`}
+    >
+      <Heart size={18} className={saved ? 'fill-red-500 text-red-500' : 'text-gray-600'} />
+    </button>
+  );
+}
@@ -1,13 +1,32 @@
-import { useState } from 'react';
-import { Menu, X } from 'lucide-react';
+import { useEffect, useRef, useState } from 'react';
+import { Heart, Menu, User, X } from 'lucide-react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
+import { CURRENCIES } from '../api';
+import { setCurrency, useCurrency } from '../utils/currency';
+import { useFavorites } from '../utils/favorites';
+import { signOut, useAuth } from '../utils/auth';
 
 export default function Navbar() {
   const [isOpen, setIsOpen] = useState(false);
   const { t, i18n } = useTranslation();
   const navigate = useNavigate();
   const location = useLocation();
+  const { currency } = useCurrency();
+  const { favorites } = useFavorites();
+  const { user, isLoggedIn } = useAuth();
+  const [accountOpen, setAccountOpen] = useState(false);
+  const accountMenuRef = useRef(null);
+
+  // Account dropdown bahar click karne par band
+  useEffect(() => {
+    if (!accountOpen) return undefined;
+    const handleClick = (event) => {
+      if (!accountMenuRef.current?.contains(event.target)) setAccountOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [accountOpen]);
 
   // Normalize language to 'en' or 'ja'
   const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
@@ -30,6 +49,25 @@ export default function Navbar() {
   // Helper to generate language-prefixed links
   const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
 
+  const handleSignOut = () => {
+    signOut();
+    setAccountOpen(false);
+    setIsOpen(false);
+    navigate(getLink('/'));
+  };
+
+  // Logged in: account + logout, warna login / register
+  const accountLinks = isLoggedIn
+    ? [
+        { to: getLink('/account'), label: t('navbar_account') },
+        { to: getLink('/account/orders'), label: t('navbar_orders') },
+        { to: getLink('/favorites'), label: t('navbar_favorites') },
+      ]
+    : [
+        { to: getLink('/account/login'), label: t('navbar_login') },
+        { to: getLink('/account/register'), label: t('navbar_register') },
+      ];
+
   return (
     <nav className="bg-white shadow-md sticky top-0 z-50">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -53,6 +91,57 @@ export default function Navbar() {
             <Link to={getLink('/contact')} className="hover:text-green-600 font-medium">
               {t('navbar_contact')}
             </Link>
+            {/* Saved cars (shortlist) */}
+            <Link
+              to={getLink('/favorites')}
+              aria-label={t('navbar_favorites')}
+              className="relative hover:text-green-600"
+            >
+              <Heart size={22} />
+              {favorites.length > 0 && (
+                <span className="absolute -top-2 -right-3 min-w-5 h-5 px-1 rounded-full bg-red-500 text-white text-xs flex items-center justify-center">
+                  {favorites.length}
+                </span>
+              )}
+            </Link>
+            {/* Account menu */}
+            <div className="relative" ref={accountMenuRef}>
+              <button
+                type="button"
+                onClick={() => setAccountOpen(!accountOpen)}
+                aria-label={t('navbar_account')}
+                aria-expanded={accountOpen}
+                className="flex items-center hover:text-green-600"
+              >
+                <User size={22} />
+              </button>
+              {accountOpen && (
+                <div className="absolute right-0 mt-3 w-56 bg-white rounded-lg shadow-lg border py-2">
+                  {isLoggedIn && (
+                    <p className="px-4 py-2 text-sm text-gray-500 border-b mb-1 truncate">{user.name || user.email}</p>
+                  )}
+                  {accountLinks.map((link) => (
+                    <Link
+                      key={link.to}
+                      to={link.to}
+                      onClick={() => setAccountOpen(false)}
+                      className="block px-4 py-2 hover:bg-gray-100"
+                    >
+                      {link.label}
+                    </Link>
+                  ))}
+                  {isLoggedIn && (
+                    <button
+                      type="button"
+                      onClick={handleSignOut}
+                      className="block w-full text-left px-4 py-2 hover:bg-gray-100"
+                    >
+                      {t('account_logout')}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
             {/* Language Toggle Button */}
             <button
               onClick={toggleLanguage}
@@ -74,6 +163,17 @@ export default function Navbar() {
                 />
               </svg>
             </button>
+            {/* Currency Switcher — prices approx. is currency mein */}
+            <select
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              aria-label={t('navbar_currency')}
+              className="px-2 py-1 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition"
+            >
+              {CURRENCIES.map((code) => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
             {/* WhatsApp Button */}
             <a
               href="https://wa.me/1234567890"
@@ -111,6 +211,24 @@ export default function Navbar() {
             <Link to={getLink('/contact')} className="block hover:text-green-600" onClick={toggleMenu}>
               {t('navbar_contact')}
             </Link>
+            <Link to={getLink('/favorites')} className="block hover:text-green-600" onClick={toggleMenu}>
+              {t('navbar_favorites')}{favorites.length > 0 ? ` (${favorites.length})` : ''}
+            </Link>
+            {/* Account links for Mobile */}
+            <div className="border-t pt-4 space-y-4">
+              {accountLinks
+                .filter((link) => link.to !== getLink('/favorites'))
+                .map((link) => (
+                  <Link key={link.to} to={link.to} className="block hover:text-green-600" onClick={toggleMenu}>
+                    {link.label}
+                  </Link>
+                ))}
+              {isLoggedIn && (
+                <button type="button" onClick={handleSignOut} className="block hover:text-green-600">
+                  {t('account_logout')}
+                </button>
+              )}
+            </div>
             {/* Language Toggle Button for Mobile */}
             <button
               onClick={() => {
@@ -121,6 +239,19 @@ export default function Navbar() {
             >
               {t('navbar_toggle_language')} ({currentLanguage === 'en' ? '🇬🇧 EN' : '🇯🇵 JA'})
             </button>
+            {/* Currency Switcher for Mobile */}
+            <label className="flex items-center justify-between px-3 py-2 bg-gray-200 text-gray-800 rounded-lg">
+              {t('navbar_currency')}
+              <select
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="bg-transparent"
+              >
+                {CURRENCIES.map((code) => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </label>
             <a
               href="https://wa.me/1234567890"
               target="_blank"
@@ -0,0 +1,61 @@
+// OrderDocuments.jsx — order ke export papers (export certificate, invoice, B/L, inspection) + download
+import { useState } from 'react';
+import { Download, FileText } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { fetchOrderDocumentUrl } from '../api';
+
+// Strapi size KB mein deta hai
+const formatSize = (kb) => (kb >= 1024 ? `${(kb / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(kb))} KB`);
+
+export default function OrderDocuments({ orderId, documents }) {
+  const { t } = useTranslation();
+  const [pendingId, setPendingId] = useState(null);
+  const [failedId, setFailedId] = useState(null);
+
+  if (documents.length === 0) {
+    return <p className="text-sm text-gray-500">{t('orders_documents_empty')}</p>;
+  }
+
+  // Link click par hi banta hai (expire ho jata hai), isliye pehle se nahi
+  const download = async (fileId) => {
+    setPendingId(fileId);
+    setFailedId(null);
+    try {
+      window.location.assign(await fetchOrderDocumentUrl({ orderId, fileId }));
+    } catch (err) {
+      console.error('Document download error:', err);
+      setFailedId(fileId);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  return (
+    <ul className="divide-y border rounded-lg">
+      {documents.map((doc) => (
+        <li key={doc.id} className="flex items-center gap-3 px-4 py-3">
+          <FileText size={20} className="flex-shrink-0 text-gray-400" />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-gray-800">{t(`order_document_${doc.type}`)}</p>
+            <p className="text-xs text-gray-500 truncate">
+              {doc.name}
+              {doc.size && ` • ${formatSize(doc.size)}`}
+            </p>
+            {failedId === doc.id && (
+              <p className="text-xs text-red-600" role="alert">{t('orders_document_error')}</p>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => download(doc.id)}
+            disabled={pendingId === doc.id}
+            className="inline-flex items-center gap-1 px-3 py-2 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-60"
+          >
+            <Download size={16} />
+            {t('orders_document_download')}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
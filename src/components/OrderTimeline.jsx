@@ -0,0 +1,43 @@
+// OrderTimeline.jsx — order ke export steps: ho chuke (date ke saath), agla step, baaki
+import { Check } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { formatDate } from '../utils/format';
+
+export default function OrderTimeline({ steps, cancelled = false }) {
+  const { t, i18n } = useTranslation();
+  const language = i18n.language.startsWith('ja') ? 'ja' : 'en';
+  // Pehla step jis ki date nahi — wahi abhi chal raha hai
+  const currentIndex = cancelled ? -1 : steps.findIndex((step) => !step.date);
+
+  return (
+    <ol className={`grid gap-4 md:grid-cols-5 ${cancelled ? 'opacity-50' : ''}`}>
+      {steps.map((step, index) => {
+        const done = Boolean(step.date);
+        const current = index === currentIndex;
+        return (
+          <li key={step.key} className="flex md:flex-col items-start gap-3 md:gap-2">
+            <span
+              className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center text-sm font-semibold ${
+                done
+                  ? 'bg-green-600 text-white'
+                  : current
+                    ? 'border-2 border-green-600 text-green-700 bg-white'
+                    : 'border-2 border-gray-300 text-gray-400 bg-white'
+              }`}
+            >
+              {done ? <Check size={16} /> : index + 1}
+            </span>
+            <div>
+              <p className={`text-sm font-medium ${done || current ? 'text-gray-800' : 'text-gray-500'}`}>
+                {t(`order_step_${step.key}`)}
+              </p>
+              <p className="text-xs text-gray-500">
+                {done ? formatDate(step.date, language) : current ? t('order_step_in_progress') : ''}
+              </p>
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
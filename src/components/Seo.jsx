@@ -0,0 +1,56 @@
+// Seo.jsx — har page ka <head>: title, description, canonical, hreflang, Open Graph, Twitter, JSON-LD
+import { Helmet } from 'react-helmet';
+import { useTranslation } from 'react-i18next';
+import { LANGUAGES, DEFAULT_LANGUAGE, absoluteUrl, serializeJsonLd } from '../utils/seo';
+
+// og:locale format
+const OG_LOCALES = { ja: 'ja_JP', en: 'en_US' };
+
+/**
+ * path: language prefix ke baghair, e.g. '/cars/hino-profia-2016' ('' = home)
+ * image: absolute URL (car ki pehli photo)
+ * jsonLd: schema.org object (CarDetail par Vehicle)
+ * noindex: 404 waghera — canonical/hreflang nahi
+ */
+export default function Seo({ title, description, path = '', image, type = 'website', jsonLd, noindex = false }) {
+  const { t, i18n } = useTranslation();
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+
+  const siteName = t('navbar_logo');
+  const fullTitle = title ? `${title} | ${siteName}` : siteName;
+  const url = absoluteUrl(`/${currentLanguage}${path}`);
+
+  return (
+    <Helmet>
+      <html lang={currentLanguage} />
+      <title>{fullTitle}</title>
+      {description && <meta name="description" content={description} />}
+      {noindex && <meta name="robots" content="noindex" />}
+
+      {!noindex && <link rel="canonical" href={url} />}
+      {!noindex &&
+        LANGUAGES.map((code) => (
+          <link key={code} rel="alternate" hrefLang={code} href={absoluteUrl(`/${code}${path}`)} />
+        ))}
+      {!noindex && <link rel="alternate" hrefLang="x-default" href={absoluteUrl(`/${DEFAULT_LANGUAGE}${path}`)} />}
+
+      <meta property="og:site_name" content={siteName} />
+      <meta property="og:type" content={type} />
+      <meta property="og:title" content={fullTitle} />
+      {description && <meta property="og:description" content={description} />}
+      <meta property="og:url" content={url} />
+      <meta property="og:locale" content={OG_LOCALES[currentLanguage]} />
+      {LANGUAGES.filter((code) => code !== currentLanguage).map((code) => (
+        <meta key={code} property="og:locale:alternate" content={OG_LOCALES[code]} />
+      ))}
+      {image && <meta property="og:image" content={image} />}
+
+      <meta name="twitter:card" content={image ? 'summary_large_image' : 'summary'} />
+      <meta name="twitter:title" content={fullTitle} />
+      {description && <meta name="twitter:description" content={description} />}
+      {image && <meta name="twitter:image" content={image} />}
+
+      {jsonLd && <script type="application/ld+json">{serializeJsonLd(jsonLd)}</script>}
+    </Helmet>
+  );
+}
@@ -0,0 +1,22 @@
+// StatusRibbon.jsx — "Reserved" / "Sold" strip over a car card image (available par kuch nahi)
+import { useTranslation } from 'react-i18next';
+
+const RIBBON_COLORS = {
+  reserved: 'bg-amber-500/90',
+  under_negotiation: 'bg-blue-600/90',
+  sold: 'bg-red-600/90',
+  exported: 'bg-gray-700/90',
+};
+
+export default function StatusRibbon({ status }) {
+  const { t } = useTranslation();
+  if (!RIBBON_COLORS[status]) return null;
+
+  return (
+    <div
+      className={`absolute bottom-0 inset-x-0 ${RIBBON_COLORS[status]} text-white text-center text-sm font-bold uppercase tracking-wide py-1`}
+    >
+      {t(`sale_status_${status}`)}
+    </div>
+  );
+}
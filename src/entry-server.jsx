@@ -0,0 +1,46 @@
+// src/entry-server.jsx
+// Build-time pre-render entry (scripts/prerender.js) — ek URL ka HTML, Helmet head aur query data
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { StaticRouter } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import App from './App';
+import i18n from './i18n';
+import { clearQueries, dehydrateQueries, pendingQueries } from './api/queryCache';
+
+// Har pass naye useQuery calls khol sakta hai (e.g. legacy id -> car); itne se zyada nahi
+const MAX_PASSES = 5;
+
+/**
+ * Render `url` to a string. Queries started during a pass are awaited and
+ * the tree is rendered again until no data is missing.
+ *
+ * Returns { html, head, htmlAttributes, queries }.
+ */
+export async function render(url) {
+  const lng = url.split('/')[1];
+  await i18n.changeLanguage(['en', 'ja'].includes(lng) ? lng : 'ja');
+  clearQueries();
+
+  let html = '';
+  for (let pass = 0; pass < MAX_PASSES; pass += 1) {
+    html = renderToString(
+      <StaticRouter location={url}>
+        <App />
+      </StaticRouter>
+    );
+    const pending = pendingQueries();
+    if (pending.length === 0) break;
+    await Promise.allSettled(pending);
+    // Adhoore pass ke Helmet tags agle page mein na aayen
+    Helmet.renderStatic();
+  }
+
+  const helmet = Helmet.renderStatic();
+  return {
+    html,
+    head: [helmet.title, helmet.meta, helmet.link, helmet.script].map((tags) => tags.toString()).join(''),
+    htmlAttributes: helmet.htmlAttributes.toString(),
+    queries: dehydrateQueries(),
+  };
+}
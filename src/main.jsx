@@ -1,13 +1,34 @@
 // src/index.js
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
 import './index.css';
 import App from './App';
-import './i18n';
+import i18n from './i18n';
+import { hydrateQueries } from './api/queryCache';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
+const container = document.getElementById('root');
+const app = (
   <React.StrictMode>
-    <App />
+    <BrowserRouter>
+      <App />
+    </BrowserRouter>
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// scripts/prerender.js page mein `window.__PRERENDER__` = { url, queries } daalta hai.
+// Usi URL par (bina query string ke) hon to hydrate, warna normal SPA render —
+// e.g. Vercel ne /ja/cars?page=2 par /ja/cars ka HTML diya ho
+const prerender = window.__PRERENDER__;
+const pathname = window.location.pathname.replace(/(.)\/$/, '$1');
+
+if (prerender && prerender.url === pathname && !window.location.search) {
+  hydrateQueries(prerender.queries);
+  // Pehle render se hi URL ki language — server HTML se match kare
+  i18n.changeLanguage(pathname.split('/')[1]).then(() => {
+    ReactDOM.hydrateRoot(container, app);
+  });
+} else {
+  container.innerHTML = '';
+  ReactDOM.createRoot(container).render(app);
+}
@@ -1,7 +1,7 @@
 import React, { useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useParams, Link } from 'react-router-dom';
-import { Helmet } from 'react-helmet';
+import Seo from '../components/Seo';
 
 export default function About() {
   const { t, i18n } = useTranslation();
@@ -43,9 +43,7 @@ export default function About() {
 
   return (
     <div className="bg-gray-50 min-h-screen">
-      <Helmet>
-        <html lang={currentLanguage} />
-      </Helmet>
+      <Seo title={t('about_title')} description={t('about_subtitle')} path="/about" />
       {/* Hero Section */}
       <section className="relative bg-gradient-to-r from-green-600 to-green-800 text-white py-20">
         <div className="container mx-auto px-6 lg:px-8 text-center">
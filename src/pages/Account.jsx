@@ -0,0 +1,221 @@
+import React from 'react';
+import { Link, Navigate, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import Layout from '../components/Layout';
+import Seo from '../components/Seo';
+import { CURRENCIES, fetchProfile, updateProfile } from '../api';
+import { validateProfile } from '../utils/account';
+import { signOut, updateSessionUser, useAuth } from '../utils/auth';
+import { setCurrency } from '../utils/currency';
+import { useFavorites } from '../utils/favorites';
+
+// Session user -> form fields
+const toForm = (user) => ({
+  name: user?.name || '',
+  country: user?.country || '',
+  whatsapp: user?.whatsapp || '',
+  currency: user?.currency || 'JPY',
+});
+
+export default function Account() {
+  const { t, i18n } = useTranslation();
+  const { lng } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { user, isLoggedIn } = useAuth();
+  const { favorites } = useFavorites();
+
+  // Pehle session wala data, phir server se taaza
+  const [form, setForm] = React.useState(() => toForm(user));
+  const [errors, setErrors] = React.useState({});
+  const [status, setStatus] = React.useState('idle'); // idle | sending | success | error
+  const dirty = React.useRef(false);
+
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+
+  // Language set kar URL se
+  React.useEffect(() => {
+    if (lng && ['en', 'ja'].includes(lng)) i18n.changeLanguage(lng);
+    else i18n.changeLanguage('ja');
+  }, [lng, i18n]);
+
+  // Doosre device par badla ho to — user ne abhi type karna shuru na kiya ho to form bhi
+  React.useEffect(() => {
+    if (!isLoggedIn) return undefined;
+    const controller = new AbortController();
+    fetchProfile({ signal: controller.signal })
+      .then((profile) => {
+        updateSessionUser(profile);
+        if (!dirty.current) setForm(toForm(profile));
+      })
+      .catch((err) => {
+        if (!controller.signal.aborted) console.error('Profile fetch error:', err);
+      });
+    return () => controller.abort();
+  }, [isLoggedIn]);
+
+  const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
+
+  // Logged out — login ke baad yahin wapas
+  if (!isLoggedIn) {
+    return <Navigate to={getLink(`/account/login?next=${encodeURIComponent(location.pathname)}`)} replace />;
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    dirty.current = true;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors((prev) => ({ ...prev, [name]: undefined }));
+    if (status !== 'sending') setStatus('idle');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateProfile(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setStatus('sending');
+    try {
+      const profile = await updateProfile(form);
+      updateSessionUser(profile);
+      setCurrency(profile.currency);
+      setForm(toForm(profile));
+      dirty.current = false;
+      setStatus('success');
+    } catch (err) {
+      console.error('Profile save error:', err);
+      if (err.fieldErrors) setErrors(err.fieldErrors);
+      setStatus('error');
+    }
+  };
+
+  const handleSignOut = () => {
+    signOut();
+    navigate(getLink('/'), { replace: true });
+  };
+
+  const errorText = (field) =>
+    errors[field] ? t([`form_error_${field}_${errors[field]}`, `form_error_${errors[field]}`]) : null;
+
+  const inputClass = (field) =>
+    `w-full border rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-green-500 ${
+      errors[field] ? 'border-red-500' : 'border-gray-300'
+    }`;
+
+  return (
+    <Layout>
+      <Seo title={t('account_title')} noindex />
+      <div className="min-h-screen bg-gray-50">
+        <div className="container mx-auto px-6 lg:px-8 py-10">
+          <h1 className="text-3xl font-bold text-gray-800">{t('account_title')}</h1>
+          <p className="text-sm text-gray-500 mt-1 mb-8">{t('account_greeting', { name: user.name || user.email })}</p>
+
+          <div className="grid lg:grid-cols-3 gap-8 items-start">
+            {/* Profile form */}
+            <form onSubmit={handleSubmit} noValidate className="lg:col-span-2 bg-white rounded-xl shadow-md p-8 space-y-6">
+              <h2 className="text-xl font-bold text-gray-800">{t('account_profile_title')}</h2>
+
+              <div className="grid sm:grid-cols-2 gap-6">
+                <div>
+                  <label htmlFor="profile-name" className="block text-gray-700 font-medium mb-2">{t('form_name')}</label>
+                  <input
+                    id="profile-name"
+                    name="name"
+                    type="text"
+                    autoComplete="name"
+                    value={form.name}
+                    onChange={handleChange}
+                    className={inputClass('name')}
+                  />
+                  {errors.name && <p className="text-sm text-red-600 mt-1">{errorText('name')}</p>}
+                </div>
+
+                <div>
+                  <label htmlFor="profile-country" className="block text-gray-700 font-medium mb-2">{t('account_country')}</label>
+                  <input
+                    id="profile-country"
+                    name="country"
+                    type="text"
+                    autoComplete="country-name"
+                    value={form.country}
+                    onChange={handleChange}
+                    className={inputClass('country')}
+                  />
+                  {errors.country && <p className="text-sm text-red-600 mt-1">{errorText('country')}</p>}
+                </div>
+
+                <div>
+                  <label htmlFor="profile-whatsapp" className="block text-gray-700 font-medium mb-2">{t('account_whatsapp')}</label>
+                  <input
+                    id="profile-whatsapp"
+                    name="whatsapp"
+                    type="tel"
+                    autoComplete="tel"
+                    value={form.whatsapp}
+                    onChange={handleChange}
+                    placeholder={t('account_whatsapp_placeholder')}
+                    className={inputClass('whatsapp')}
+                  />
+                  {errors.whatsapp && <p className="text-sm text-red-600 mt-1">{errorText('whatsapp')}</p>}
+                </div>
+
+                <div>
+                  <label htmlFor="profile-currency" className="block text-gray-700 font-medium mb-2">{t('account_currency')}</label>
+                  <select
+                    id="profile-currency"
+                    name="currency"
+                    value={form.currency}
+                    onChange={handleChange}
+                    className={inputClass('currency')}
+                  >
+                    {CURRENCIES.map((code) => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {status === 'success' && (
+                <p className="text-sm text-green-700" role="status">{t('account_profile_saved')}</p>
+              )}
+              {status === 'error' && (
+                <p className="text-sm text-red-600" role="alert">{t('account_error_generic')}</p>
+              )}
+
+              <button
+                type="submit"
+                disabled={status === 'sending'}
+                className="bg-green-600 text-white px-6 py-3 rounded-lg hover:bg-green-700 transition disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                {status === 'sending' ? t('form_sending') : t('account_profile_save')}
+              </button>
+            </form>
+
+            {/* Login details + shortcuts */}
+            <aside className="bg-white rounded-xl shadow-md p-8 space-y-4">
+              <div>
+                <p className="text-sm text-gray-500">{t('form_email')}</p>
+                <p className="font-medium text-gray-800 break-all">{user.email}</p>
+              </div>
+              <Link to={getLink('/account/orders')} className="block text-green-600 font-medium hover:underline">
+                {t('navbar_orders')}
+              </Link>
+              <Link to={getLink('/favorites')} className="block text-green-600 font-medium hover:underline">
+                {t('navbar_favorites')}{favorites.length > 0 ? ` (${favorites.length})` : ''}
+              </Link>
+              <button
+                type="button"
+                onClick={handleSignOut}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-100"
+              >
+                {t('account_logout')}
+              </button>
+            </aside>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,202 @@
+import React from 'react';
+import { Link, Navigate, useLocation, useParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import Layout from '../components/Layout';
+import Seo from '../components/Seo';
+import OrderTimeline from '../components/OrderTimeline';
+import OrderDocuments from '../components/OrderDocuments';
+import { fetchMyInquiries, fetchMyOrders, useQuery } from '../api';
+import { useAuth } from '../utils/auth';
+import { formatDate } from '../utils/format';
+import { carPath } from '../utils/routes';
+
+// Tailwind ko poori classes chahiye
+const ORDER_STATUS_COLORS = {
+  reserved: 'bg-amber-100 text-amber-800',
+  in_progress: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-200 text-gray-600',
+};
+
+const INQUIRY_STATUS_COLORS = {
+  new: 'bg-amber-100 text-amber-800',
+  contacted: 'bg-blue-100 text-blue-800',
+  closed: 'bg-gray-200 text-gray-600',
+};
+
+export default function AccountOrders() {
+  const { t, i18n } = useTranslation();
+  const { lng } = useParams();
+  const location = useLocation();
+  const { user, isLoggedIn } = useAuth();
+
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+
+  // Language set kar URL se
+  React.useEffect(() => {
+    if (lng && ['en', 'ja'].includes(lng)) i18n.changeLanguage(lng);
+    else i18n.changeLanguage('ja');
+  }, [lng, i18n]);
+
+  // Cache key mein user — logout / doosre account par purana data na dikhe
+  const ordersQuery = useQuery(['myOrders', { userId: user?.id }], () => fetchMyOrders(), { enabled: isLoggedIn });
+  const inquiriesQuery = useQuery(['myInquiries', { userId: user?.id }], () => fetchMyInquiries(), {
+    enabled: isLoggedIn,
+  });
+  const orders = ordersQuery.data || [];
+  const inquiries = inquiriesQuery.data || [];
+
+  const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
+
+  // Logged out — login ke baad yahin wapas
+  if (!isLoggedIn) {
+    return <Navigate to={getLink(`/account/login?next=${encodeURIComponent(location.pathname)}`)} replace />;
+  }
+
+  const renderOrders = () => {
+    if (ordersQuery.isLoading) {
+      return <p className="text-gray-600 py-6">Orders load ho rahe hain...</p>;
+    }
+
+    if (ordersQuery.error) {
+      return <p className="text-red-600 py-6">Orders fetch nahi hue, Strapi check kar!</p>;
+    }
+
+    if (orders.length === 0) {
+      return (
+        <div className="bg-white rounded-xl shadow p-8 text-center text-gray-600">
+          <p className="mb-4">{t('orders_empty')}</p>
+          <Link
+            to={getLink('/cars')}
+            className="inline-block px-5 py-3 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700"
+          >
+            {t('favorites_browse')}
+          </Link>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-6">
+        {orders.map((order) => (
+          <article key={order.documentId} className="bg-white rounded-xl shadow p-6">
+            <div className="flex flex-col sm:flex-row gap-4 sm:items-center mb-6">
+              {order.car?.cover && (
+                <img src={order.car.cover.url} alt="" className="w-full sm:w-32 h-24 object-cover rounded-lg" />
+              )}
+              <div className="flex-1">
+                <p className="text-sm text-gray-500">{t('orders_number', { number: order.number || '—' })}</p>
+                <h3 className="text-lg font-semibold text-gray-800">
+                  {order.car ? (
+                    <Link to={getLink(carPath(order.car))} className="hover:text-green-600">
+                      {order.carTitle}
+                    </Link>
+                  ) : (
+                    order.carTitle
+                  )}
+                </h3>
+                <p className="text-sm text-gray-600">
+                  {[
+                    order.destinationPort && t('orders_destination', { port: order.destinationPort }),
+                    order.vesselName && t('orders_vessel', { vessel: order.vesselName }),
+                    order.eta && t('orders_eta', { date: formatDate(order.eta, currentLanguage) }),
+                  ]
+                    .filter(Boolean)
+                    .join(' • ')}
+                </p>
+              </div>
+              <span
+                className={`self-start px-3 py-1 rounded-full text-sm font-medium ${ORDER_STATUS_COLORS[order.status]}`}
+              >
+                {t(`order_status_${order.status}`)}
+              </span>
+            </div>
+
+            <OrderTimeline steps={order.steps} cancelled={order.status === 'cancelled'} />
+
+            <h4 className="mt-6 mb-2 text-sm font-semibold text-gray-700">{t('orders_documents')}</h4>
+            <OrderDocuments orderId={order.documentId} documents={order.documents} />
+
+            {order.note && (
+              <p className="mt-6 bg-gray-50 rounded-lg px-4 py-3 text-sm text-gray-700 whitespace-pre-line">{order.note}</p>
+            )}
+            <p className="mt-4 text-xs text-gray-500">
+              {t('orders_updated', { date: formatDate(order.updatedAt, currentLanguage) })}
+            </p>
+          </article>
+        ))}
+      </div>
+    );
+  };
+
+  const renderInquiries = () => {
+    if (inquiriesQuery.isLoading) {
+      return <p className="text-gray-600 py-6">Inquiries load ho rahi hain...</p>;
+    }
+
+    if (inquiriesQuery.error) {
+      return <p className="text-red-600 py-6">Inquiries fetch nahi huin, Strapi check kar!</p>;
+    }
+
+    if (inquiries.length === 0) {
+      return <p className="bg-white rounded-xl shadow p-6 text-gray-600">{t('orders_inquiries_empty')}</p>;
+    }
+
+    return (
+      <ul className="bg-white rounded-xl shadow divide-y">
+        {inquiries.map((inquiry) => (
+          <li key={inquiry.documentId} className="p-5 flex flex-col sm:flex-row gap-3 sm:items-start">
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-gray-500">
+                {formatDate(inquiry.createdAt, currentLanguage)}
+                {inquiry.intent !== 'general' && ` • ${t(`inquiry_intent_${inquiry.intent}`)}`}
+              </p>
+              {inquiry.carTitle && (
+                <p className="font-medium text-gray-800">
+                  {inquiry.car ? (
+                    <Link to={getLink(carPath(inquiry.car))} className="hover:text-green-600">
+                      {inquiry.carTitle}
+                    </Link>
+                  ) : (
+                    inquiry.carTitle
+                  )}
+                </p>
+              )}
+              <p className="text-sm text-gray-600 line-clamp-2">{inquiry.message}</p>
+            </div>
+            <span
+              className={`self-start px-3 py-1 rounded-full text-sm font-medium ${INQUIRY_STATUS_COLORS[inquiry.status]}`}
+            >
+              {t(`inquiry_status_${inquiry.status}`)}
+            </span>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <Layout>
+      <Seo title={t('orders_title')} noindex />
+      <div className="min-h-screen bg-gray-50">
+        <div className="container mx-auto px-6 lg:px-8 py-10">
+          <Link to={getLink('/account')} className="text-sm text-green-600 hover:underline">
+            ← {t('navbar_account')}
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-800 mt-2">{t('orders_title')}</h1>
+          <p className="text-sm text-gray-500 mt-1 mb-8">{t('orders_subtitle')}</p>
+
+          <section className="mb-12">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">{t('orders_purchases')}</h2>
+            {renderOrders()}
+          </section>
+
+          <section>
+            <h2 className="text-xl font-bold text-gray-800 mb-4">{t('orders_inquiries')}</h2>
+            {renderInquiries()}
+          </section>
+        </div>
+      </div>
+    </Layout>
+  );
+}
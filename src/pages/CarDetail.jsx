@@ -1,17 +1,29 @@
-import React, { useEffect, useState } from "react";
-import { useParams, Link } from "react-router-dom";
+import React, { useEffect } from "react";
+import { useParams, Link, Navigate } from "react-router-dom";
 import { useTranslation } from "react-i18next";
-import { Helmet } from "react-helmet";
-import axios from "axios";
+import CarGallery from "../components/CarGallery";
+import CarInquiryForm from "../components/CarInquiryForm";
+import CifEstimator from "../components/CifEstimator";
+import FavoriteButton from "../components/FavoriteButton";
+import { fetchCar, resolveLegacyCarId, useQuery } from "../api";
+import NotFound from "./NotFound";
+import { formatMileage, formatDate } from "../utils/format";
+import { carPath } from "../utils/routes";
+import { isSold } from "../utils/saleStatus";
+import { formatPrice, formatPriceNote, formatOriginalPrice, formatPriceHint } from "../utils/price";
+import { useCurrency } from "../utils/currency";
+import { absoluteUrl, vehicleJsonLd } from "../utils/seo";
+import Seo from "../components/Seo";
 
 export default function CarDetail() {
   const { t, i18n } = useTranslation();
   const { lng, id } = useParams();
-  const [car, setCar] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [currentImage, setCurrentImage] = useState(0);
 
   const currentLanguage = i18n.language.startsWith("ja") ? "ja" : "en";
+  // Strapi locale — URL param se
+  const locale = ["en", "ja"].includes(lng) ? lng : "ja";
+  // Navbar mein chuni currency — header price approx. us mein
+  const { currency, rates, ratesUpdatedAt } = useCurrency();
 
   useEffect(() => {
     window.scrollTo(0, 0);
@@ -22,23 +34,18 @@ export default function CarDetail() {
     else i18n.changeLanguage("ja");
   }, [lng, i18n]);
 
-  useEffect(() => {
-    const fetchCar = async () => {
-      try {
-        const strapiUrl = import.meta.env.VITE_STRAPI_URL || "http://localhost:1337";
-        const response = await axios.get(
-          `${strapiUrl}/api/cars?filters[id][$eq]=${id}&populate=image`
-        );
-        const fetchedCar = response.data.data[0];
-        setCar(fetchedCar);
-      } catch (error) {
-        console.error("Fetch error:", error);
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchCar();
-  }, [id]);
+  // Purane URLs numeric row id use karte the (/cars/12) — slug URL par redirect
+  const isLegacyId = /^\d+$/.test(id);
+  const legacyQuery = useQuery(["legacyCar", { id }], () => resolveLegacyCarId({ id }), {
+    enabled: isLegacyId,
+  });
+
+  // Cache se — Cars grid se aaye ya back kiya to dobara loading nahi
+  const carQuery = useQuery(["car", { idOrSlug: id, locale }], () => fetchCar({ idOrSlug: id, locale }), {
+    enabled: !isLegacyId,
+  });
+  const car = carQuery.data || null;
+  const loading = isLegacyId ? legacyQuery.isLoading : carQuery.isLoading;
 
   if (loading) {
     return (
@@ -48,32 +55,82 @@ export default function CarDetail() {
     );
   }
 
-  if (!car) {
+  if (isLegacyId) {
+    return legacyQuery.data
+      ? <Navigate to={`/${locale}/cars/${legacyQuery.data}`} replace />
+      : <NotFound car />;
+  }
+
+  // Network/server error — 404 nahi, dobara try karne ka message
+  if (carQuery.error) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
-        <p className="text-gray-500">{t("no_car_found", { defaultValue: "Car not found" })}</p>
+        <p className="text-red-600">Car fetch nahi hui, Strapi check kar!</p>
       </div>
     );
   }
 
-  const attributes = car;
-  const imageUrl =
-    attributes.image?.url
-      ? `${import.meta.env.VITE_STRAPI_URL}${attributes.image.url}`
-      : null;
+  // Missing, unpublished ya is locale mein nahi
+  if (!car) return <NotFound car />;
 
-  // slider handle
-  const images = [imageUrl];
-  const totalSlides = images.length;
-  const nextImage = () => setCurrentImage((p) => (p + 1) % totalSlides);
-  const prevImage = () => setCurrentImage((p) => (p - 1 + totalSlides) % totalSlides);
+  // Canonical URL slug wala hai — documentId links wahan redirect
+  if (car.slug && id !== car.slug) {
+    return <Navigate to={`/${locale}/cars/${car.slug}`} replace />;
+  }
+
+  // Spec fields (location, shaken, kittsu, ...) car-detail relation mein hain
+  const detail = car.detail || {};
+
+  // Machinery ka hour meter ho to km ki jagah wahi dikhe (Compare jaisa)
+  const readingLabel = detail.hours != null
+    ? t("compare_hours_value", { hours: detail.hours.toLocaleString() })
+    : null;
+
+  // Specifications list — khali values skip ho jati hain
+  const specRows = [
+    { key: "spec_year", label: "Year", value: detail.year || car.year },
+    { key: "spec_transmission", label: "Transmission", value: detail.transmission },
+    { key: "spec_location", label: "Location", value: detail.location },
+    { key: "spec_fuel", label: "Fuel", value: detail.fuel },
+    { key: "spec_engine_cc", label: "Engine", value: detail.engineCc ? `${detail.engineCc.toLocaleString()} cc` : null },
+    { key: "spec_hours", label: "Hours", value: readingLabel },
+    { key: "spec_weight", label: "Weight", value: detail.weightKg ? `${detail.weightKg.toLocaleString()} kg` : null },
+    { key: "spec_chassis_number", label: "Chassis No.", value: detail.chassisNumber },
+    { key: "spec_model_code", label: "Model Code", value: detail.modelCode },
+  ];
+
+  // "¥2,100,000 (tax incl.) · Negotiable" — inquiry message aur SEO text ke liye
+  // (hamesha yen mein, display currency chahe jo ho)
+  const priceNote = formatPriceNote(car.price, { t });
+  const originalPrice = formatOriginalPrice(car.price, { t, language: currentLanguage, currency, rates });
+  const priceHint = formatPriceHint(car.price, { language: currentLanguage, currency, rates });
+  const priceLabel = [formatPrice(car.price, { t, language: currentLanguage }), priceNote].filter(Boolean).join(" · ");
+
+  // Search result / link preview text — khali values skip
+  const seoDescription = [
+    car.title,
+    detail.year || car.year,
+    readingLabel || (car.mileage ? formatMileage(car.mileage) : null),
+    detail.location,
+    priceLabel,
+  ]
+    .filter(Boolean)
+    .join(" · ") + `. ${t("seo_car_description")}`;
 
   return (
     <div className="min-h-screen bg-gray-50">
-      <Helmet>
-        <html lang={currentLanguage} />
-        <title>{attributes[`title_${currentLanguage}`]}</title>
-      </Helmet>
+      <Seo
+        title={car.title}
+        description={seoDescription}
+        path={carPath(car)}
+        image={car.cover?.url}
+        type="product"
+        jsonLd={vehicleJsonLd({
+          car,
+          url: absoluteUrl(`/${currentLanguage}${carPath(car)}`),
+          sellerName: t("navbar_logo"),
+        })}
+      />
 
       {/* Header Section */}
       <section className="relative bg-gradient-to-r from-green-700 to-green-900 text-white py-16">
@@ -86,48 +143,49 @@ export default function CarDetail() {
           </Link>
 
           <div className="grid md:grid-cols-2 gap-8 items-center">
-            {/* Image Slider */}
-            <div className="relative">
-              {imageUrl ? (
-                <img
-                  src={images[currentImage]}
-                  alt={attributes[`title_${currentLanguage}`]}
-                  className="w-full h-100 object-cover rounded-xl shadow-lg transition-all duration-500"
-                />
-              ) : (
-                <div className="w-full h-80 bg-gray-300 rounded-xl flex items-center justify-center">
-                  <p>No Image Available</p>
-                </div>
-              )}
-
-              <button
-                onClick={prevImage}
-                className="absolute left-2 top-1/2 transform -translate-y-1/2 bg-black/40 text-white px-3 py-2 rounded-full hover:bg-black/60"
-              >
-                ‹
-              </button>
-              <button
-                onClick={nextImage}
-                className="absolute right-2 top-1/2 transform -translate-y-1/2 bg-black/40 text-white px-3 py-2 rounded-full hover:bg-black/60"
-              >
-                ›
-              </button>
-            </div>
+            {/* Media Gallery — photos pehle, phir walk-around videos (src/api normalizeCar) */}
+            <CarGallery
+              key={car.documentId}
+              media={car.media}
+              title={car.title}
+            />
 
             {/* Car Info */}
             <div>
-              <h1 className="text-4xl font-bold mb-3">
-                {attributes[`title_${currentLanguage}`]}
-              </h1>
+              {car.saleStatus !== "available" && (
+                <span className={`inline-block mb-3 px-3 py-1 rounded text-sm font-bold uppercase tracking-wide ${
+                  isSold(car) ? "bg-red-600" : "bg-amber-500"
+                }`}>
+                  {t(`sale_status_${car.saleStatus}`)}
+                </span>
+              )}
+              <div className="flex items-start justify-between gap-4 mb-3">
+                <h1 className="text-4xl font-bold">
+                  {car.title}
+                </h1>
+                <FavoriteButton car={car} className="flex-shrink-0 mt-1" />
+              </div>
               <p className="text-2xl font-semibold text-green-200 mb-3">
-                {attributes.price_display}
+                {formatPrice(car.price, { t, language: currentLanguage, currency, rates })}
+                {priceNote && (
+                  <span className="ml-3 align-middle text-sm font-medium bg-white/20 px-2 py-1 rounded">{priceNote}</span>
+                )}
               </p>
-              <p className="text-lg mb-1">📍 {attributes[`location_${currentLanguage}`]}</p>
-              <p className="text-lg mb-1">🚘 {attributes[`mileage_${currentLanguage}`]}</p>
-              <p className="text-lg mb-1">🗓️ {attributes[`year_${currentLanguage}`]}</p>
-              <p className="text-lg mb-1">⚙️ {attributes[`transmission_${currentLanguage}`]}</p>
-              <p className="text-lg mb-1">✅ Shaken: {attributes[`shaken_${currentLanguage}`]}</p>
-              <p className="text-lg mb-1">📘 Kittsu: {attributes[`kittsu_${currentLanguage}`]}</p>
+              {priceHint && <p className="-mt-2 mb-3 text-sm text-green-100">{priceHint}</p>}
+              {originalPrice && (
+                <div className="-mt-2 mb-3 text-green-100">
+                  <p className="text-sm">{originalPrice}</p>
+                  <p className="text-xs opacity-80">
+                    {t("price_approx_hint", { date: formatDate(ratesUpdatedAt, currentLanguage) })}
+                  </p>
+                </div>
+              )}
+              <p className="text-lg mb-1">📍 {detail.location}</p>
+              <p className="text-lg mb-1">🚘 {readingLabel || formatMileage(car.mileage)}</p>
+              <p className="text-lg mb-1">🗓️ {detail.year || car.year}</p>
+              <p className="text-lg mb-1">⚙️ {detail.transmission}</p>
+              <p className="text-lg mb-1">✅ {t("car_shaken", { defaultValue: "Shaken" })}: {detail.shaken}</p>
+              <p className="text-lg mb-1">📘 {t("car_kittsu", { defaultValue: "Record Book" })}: {detail.kittsu}</p>
             </div>
           </div>
         </div>
@@ -141,8 +199,11 @@ export default function CarDetail() {
               {t("car_description", { defaultValue: "Description" })}
             </h2>
             <pre className="whitespace-pre-wrap text-gray-700 leading-relaxed text-[15px]">
-              {attributes[`condition_${currentLanguage}`]}
+              {detail.description || detail.condition}
             </pre>
+            {detail.note && (
+              <p className="mt-4 text-gray-600 italic">{detail.note}</p>
+            )}
           </div>
 
           <div>
@@ -150,23 +211,57 @@ export default function CarDetail() {
               {t("car_specs", { defaultValue: "Specifications" })}
             </h2>
             <ul className="text-gray-700 space-y-2">
-              <li>{attributes[`year_${currentLanguage}`]}</li>
-              <li>{attributes[`transmission_${currentLanguage}`]}</li>
-              <li>{attributes[`location_${currentLanguage}`]}</li>
+              {specRows
+                .filter((row) => row.value)
+                .map((row) => (
+                  <li key={row.key}>
+                    <span className="font-medium">{t(row.key, { defaultValue: row.label })}:</span> {row.value}
+                  </li>
+                ))}
             </ul>
+            {detail.specs && (
+              <p className="mt-4 text-gray-700">{detail.specs}</p>
+            )}
           </div>
         </div>
 
-        {/* Contact Section */}
-        <div className="mt-12 text-center">
-          <h3 className="text-2xl font-bold text-gray-800 mb-2">📞 Contact Us</h3>
-          <p className="text-lg text-gray-700 mb-3">+81 90-4616-2378</p>
-          <a
-            href="tel:+819046162378"
-            className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition"
-          >
-            📱 Call Now
-          </a>
+        {/* Inquiry + Contact Section */}
+        <div className="container mx-auto px-6 lg:px-8 mt-12 grid md:grid-cols-3 gap-8 items-start">
+          <div className="md:col-span-2 space-y-8">
+            {/* Biki hui car par inquiry nahi — milti-julti cars ki taraf bhejo */}
+            {isSold(car) ? (
+              <div className="bg-white rounded-xl shadow-md p-8">
+                <h2 className="text-2xl font-bold text-gray-800 mb-2">{t("car_sold_title")}</h2>
+                <p className="text-gray-700 mb-4">{t("car_sold_message")}</p>
+                <Link
+                  to={`/${currentLanguage}/cars?hideSold=1${car.category ? `&category=${car.category}` : ""}`}
+                  className="inline-block px-5 py-3 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700"
+                >
+                  {t("car_sold_browse")}
+                </Link>
+              </div>
+            ) : (
+              <>
+                {/* Landed cost — destination port + shipping method (Strapi freight tables) */}
+                <CifEstimator car={car} />
+                <CarInquiryForm
+                  car={car}
+                  priceLabel={priceLabel}
+                />
+              </>
+            )}
+          </div>
+
+          <div className="text-center bg-white rounded-xl shadow-md p-8">
+            <h3 className="text-2xl font-bold text-gray-800 mb-2">📞 Contact Us</h3>
+            <p className="text-lg text-gray-700 mb-3">+81 90-4616-2378</p>
+            <a
+              href="tel:+819046162378"
+              className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition"
+            >
+              📱 Call Now
+            </a>
+          </div>
         </div>
       </section>
     </div>
@@ -1,20 +1,54 @@
-import React, { useState, useEffect } from 'react';
-import { Link, useParams } from 'react-router-dom';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
-import axios from 'axios';
 import Layout from '../components/Layout'; // Home se same
+import Seo from '../components/Seo';
+import CarFilters from '../components/CarFilters';
+import StatusRibbon from '../components/StatusRibbon';
+import FavoriteButton from '../components/FavoriteButton';
+import CompareTray from '../components/CompareTray';
+import { readFilters, toStrapiFilters, countActiveFilters, FILTER_PARAMS } from '../utils/carFilters';
+import { fetchCars, fetchCarFacets, useQuery } from '../api';
+import { formatMileage } from '../utils/format';
+import { formatPrice, formatPriceNote, formatOriginalPrice } from '../utils/price';
+import { useCurrency } from '../utils/currency';
+import { toggleCompare, useCompare } from '../utils/compare';
+import { carPath } from '../utils/routes';
+
+const PAGE_SIZE = 12;
+
+// URL `sort` value -> Strapi sort param
+const SORT_OPTIONS = {
+  latest: 'year:desc',
+  'price-low': 'price:asc',
+  'price-high': 'price:desc',
+};
 
 export default function Cars() {
   const { t, i18n } = useTranslation();
   const { lng } = useParams();
-  const [query, setQuery] = useState('');
-  const [sort, setSort] = useState('latest');
-  const [cars, setCars] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [showFilters, setShowFilters] = useState(false);
+  // Navbar mein chuni currency — card prices approx. us mein
+  const { currency, rates } = useCurrency();
+  // Compare tray (max 4) — neeche sticky
+  const { items: compareItems, isComparing, isFull: compareFull } = useCompare();
+
+  // Query/sort/page URL mein rehte hain taake listing link share ho sake
+  const query = searchParams.get('q') || '';
+  const sort = SORT_OPTIONS[searchParams.get('sort')] ? searchParams.get('sort') : 'latest';
+  const page = Math.max(parseInt(searchParams.get('page'), 10) || 1, 1);
+  // Search box ka apna state — URL debounce ke baad update hota hai
+  const [search, setSearch] = useState(query);
+  // Sidebar filters (category, maker, year, price, ...) bhi URL mein
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+  // String key taake page badalne par facets dobara fetch na hon
+  const filtersKey = JSON.stringify(toStrapiFilters(filters, query));
 
   // Normalize language to 'en' or 'ja'
   const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+  // Strapi locale — URL param se, taake fetch language switch ke saath chale
+  const locale = ['en', 'ja'].includes(lng) ? lng : 'ja';
 
   // Set language based on URL
   useEffect(() => {
@@ -25,115 +59,189 @@ export default function Cars() {
     }
   }, [lng, i18n]);
 
-  // Helper function for mileage formatting (e.g., 80000 -> "80,000 km")
-  const formatMileage = (mileage) => {
-    if (!mileage) return 'N/A km';
-    const num = parseInt(mileage, 10);
-    return num.toLocaleString() + ' km';
-  };
+  // Update URL params; search/sort change hone par page 1 par wapas
+  const updateParams = useCallback((changes) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === '' || value === null || value === undefined) next.delete(key);
+        else next.set(key, String(value));
+      });
+      if (!('page' in changes)) next.delete('page');
+      return next;
+    }, { replace: !('page' in changes) });
+  }, [setSearchParams]);
+
+  // Back/forward se URL badle to search box bhi sync rahe
+  useEffect(() => {
+    setSearch(query);
+  }, [query]);
 
-  // Fetch all cars from Strapi (no slice – full list)
+  // Typing ke dauran har key par request na jaye
   useEffect(() => {
-    const fetchCars = async () => {
-      try {
-        const strapiUrl = import.meta.env.VITE_STRAPI_URL || 'http://localhost:1337';
-        console.log('Strapi URL:', strapiUrl);
-        const response = await axios.get(`${strapiUrl}/api/cars?populate=image`);
-
-        const mappedCars = response.data.data.map((car) => ({
-          id: car.id,
-          Title: {  // Consistent naming
-            en: car.title_en || '',
-            ja: car.title_ja || '',
-          },
-          price: parseInt(car.price, 10) || 0,  // String to number
-          year: car.year || 'N/A',
-          mileage: {
-            en: formatMileage(car.mileage_en),  // Direct access
-            ja: formatMileage(car.mileage_ja),
-          },
-          // ✅ FIXED IMG: v5 Multiple Media — first image from array, placeholder fallback
-          img: car.image && car.image.length > 0
-            ? `${strapiUrl}${car.image[0].url}`
-            : '/placeholder.jpg',
-          short: {
-            en: 'A reliable used car ready for new adventures',
-            ja: '新しい冒険に備えた信頼できる中古車',
-          },
-        }));
-
-        setCars(mappedCars);  // All cars, no slice(0,3) – yeh Cars page hai
-        console.log('Fetched all cars from Strapi (v5):', mappedCars);  // Debug log
-      } catch (err) {
-        setError('Cars fetch nahi hue, Strapi check kar!');
-        console.error('Fetch error:', err);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchCars();
-  }, []);  // Empty dependency – sirf ek baar
+    if (search.trim() === query) return undefined;
+    const timer = setTimeout(() => updateParams({ q: search.trim() }), 400);
+    return () => clearTimeout(timer);
+  }, [search, query, updateParams]);
+
+  // Current page Strapi se — search, sort aur pagination server par.
+  // Query cache ki wajah se back navigation par grid turant dikhta hai, aur
+  // page/filter badalne par naya data aane tak pichla grid rehta hai
+  const carsParams = { locale, sort: SORT_OPTIONS[sort], filters: JSON.parse(filtersKey), page, pageSize: PAGE_SIZE };
+  const carsQuery = useQuery(['cars', carsParams], () => fetchCars(carsParams), { keepPreviousData: true });
+  const cars = carsQuery.data?.cars || [];
+  const pagination = carsQuery.data?.pagination || null;
+  const loading = carsQuery.isLoading;
+  const error = carsQuery.error ? 'Cars fetch nahi hue, Strapi check kar!' : null;
+
+  // Facet counts — current filters ke saath, pagination/sort se independent.
+  // Counts na milen to bhi sidebar aur listing chalti rahe
+  const facetsQuery = useQuery(
+    ['carFacets', { locale, filtersKey }],
+    () => fetchCarFacets({ locale, filters: JSON.parse(filtersKey) }),
+    { keepPreviousData: true }
+  );
+  const facets = facetsQuery.data || null;
 
   // Helper to generate language-prefixed links
   const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
 
-  // Safe filtering + sorting
-  const filtered = cars
-    .filter((c) => {
-      const title = c.Title[currentLanguage] || c.Title.en;  // FIXED: Title (capital T)
-      return title?.toLowerCase().includes(query.trim().toLowerCase());
-    })
-    .sort((a, b) => {
-      if (sort === 'price-low') return a.price - b.price;
-      if (sort === 'price-high') return b.price - a.price;
-      if (sort === 'latest') return b.year - a.year;  // Latest = newer year first
-      return 0;
-    });
-
-  // Loading state
-  if (loading) {
-    return (
-      <Layout>
-        <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-          <p className="text-lg text-gray-600">Cars load ho rahe hain...</p>
-        </div>
-      </Layout>
-    );
-  }
+  const goToPage = (nextPage) => {
+    updateParams({ page: nextPage > 1 ? nextPage : null });
+    window.scrollTo(0, 0);
+  };
+
+  const pageCount = pagination?.pageCount || 1;
+  const activeFilterCount = countActiveFilters(filters);
+
+  const clearFilters = () => {
+    updateParams(Object.fromEntries(FILTER_PARAMS.map((param) => [param, null])));
+  };
+
+  // Grid area — loading/error yahan dikhte hain taake search box focus na khoye
+  const renderResults = () => {
+    if (loading) {
+      return <p className="text-lg text-gray-600 text-center py-20">Cars load ho rahe hain...</p>;
+    }
+
+    if (error) {
+      return <p className="text-lg text-red-600 text-center py-20">{error}</p>;
+    }
+
+    if (cars.length === 0) {
+      return <p className="text-gray-500 text-center text-lg">{t('no_cars_found')}</p>;
+    }
 
-  // Error state
-  if (error) {
     return (
-      <Layout>
-        <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-          <p className="text-lg text-red-600">{error}</p>
-        </div>
-      </Layout>
+      <div
+        className={`grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6 transition-opacity ${
+          carsQuery.isPreviousData ? 'opacity-60' : ''
+        }`}
+      >
+        {cars.map((car) => (
+          <div
+            key={car.id}
+            className="relative bg-white rounded-xl shadow hover:shadow-xl transition duration-200"
+          >
+            {/* Image — ab hamesha img src hoga, placeholder fallback */}
+            <div className="relative">
+              <img
+                src={car.cover?.url || '/placeholder.jpg'}
+                alt={car.title}
+                className="w-full h-80 object-cover rounded-t-xl"
+              />
+              <StatusRibbon status={car.saleStatus} />
+              <FavoriteButton car={car} className="absolute top-3 right-3" />
+            </div>
+            {car.hasVideo && (
+              <span className="absolute top-3 left-3 bg-black/70 text-white text-xs font-medium px-2 py-1 rounded">
+                🎥 {t('video_available')}
+              </span>
+            )}
+            <div className="p-4">
+              <h2 className="text-lg font-semibold">
+                {car.title}
+              </h2>
+              <div className="text-green-600 font-bold mt-1">
+                {formatPrice(car.price, { t, language: currentLanguage, currency, rates })}
+                {formatPriceNote(car.price, { t }) && (
+                  <span className="ml-2 text-xs font-medium text-green-700">{formatPriceNote(car.price, { t })}</span>
+                )}
+              </div>
+              {formatOriginalPrice(car.price, { t, language: currentLanguage, currency, rates }) && (
+                <div className="text-xs text-gray-500">
+                  {formatOriginalPrice(car.price, { t, language: currentLanguage, currency, rates })}
+                </div>
+              )}
+              <div className="text-gray-500 text-sm">
+                {t('car_year', { year: car.year ?? 'N/A' })} •
+                {formatMileage(car.mileage)}
+              </div>
+              <p className="text-sm text-gray-600 mt-2">{t('car_short_default')}</p>
+
+              <div className="flex items-center justify-between mt-3">
+                <Link
+                  to={getLink(carPath(car))}
+                  className="inline-block px-3 py-2 bg-green-600 text-white rounded hover:bg-green-700 text-sm"
+                >
+                  {t('view_details')}
+                </Link>
+                <label
+                  className="inline-flex items-center gap-2 text-sm text-gray-600 cursor-pointer"
+                  title={compareFull && !isComparing(car.documentId) ? t('compare_limit') : undefined}
+                >
+                  <input
+                    type="checkbox"
+                    checked={isComparing(car.documentId)}
+                    disabled={compareFull && !isComparing(car.documentId)}
+                    onChange={() => toggleCompare(car)}
+                    className="accent-green-600"
+                  />
+                  {t('compare_checkbox')}
+                </label>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
     );
-  }
+  };
 
   return (
     <Layout>
-      <div className="min-h-screen bg-gray-50">
+      {/* Filters/search ke URLs ka canonical listing hi hai; sirf page number alag */}
+      <Seo
+        title={t('cars_title')}
+        description={t('seo_cars_description')}
+        path={page > 1 ? `/cars?page=${page}` : '/cars'}
+        image={cars[0]?.cover?.url}
+      />
+      <div className={`min-h-screen bg-gray-50 ${compareItems.length ? 'pb-24' : ''}`}>
         <div className="container mx-auto px-6 lg:px-8 py-10">
           {/* Heading + Controls */}
           <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-8">
-            <h1 className="text-3xl font-bold text-gray-800">{t('cars_title')}</h1>
+            <div>
+              <h1 className="text-3xl font-bold text-gray-800">{t('cars_title')}</h1>
+              {pagination && (
+                <p className="text-sm text-gray-500 mt-1">
+                  {t('cars_total', { total: pagination.total })}
+                </p>
+              )}
+            </div>
 
             <div className="mt-4 md:mt-0 flex flex-col md:flex-row md:items-center gap-3">
               {/* Search Box */}
               <input
                 type="text"
                 placeholder={t('search_car_placeholder')}
-                value={query}
-                onChange={(e) => setQuery(e.target.value)}
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
                 className="px-4 py-2 border rounded-lg focus:ring focus:ring-green-300 outline-none w-full md:w-auto"
               />
               {/* Sorting Dropdown */}
               <select
                 value={sort}
-                onChange={(e) => setSort(e.target.value)}
+                onChange={(e) => updateParams({ sort: e.target.value === 'latest' ? null : e.target.value })}
                 className="px-4 py-2 border rounded-lg focus:ring focus:ring-green-300 outline-none"
               >
                 <option value="latest">{t('sort_latest')}</option>
@@ -143,48 +251,69 @@ export default function Cars() {
             </div>
           </div>
 
-          {/* Cars Grid */}
-          {filtered.length > 0 ? (
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-              {filtered.map((car) => (
-                <div
-                  key={car.id}
-                  className="bg-white rounded-xl shadow hover:shadow-xl transition duration-200"
+          {/* Mobile par sidebar toggle */}
+          <button
+            type="button"
+            onClick={() => setShowFilters((open) => !open)}
+            className="lg:hidden mb-4 px-4 py-2 border rounded-lg bg-white hover:bg-gray-100"
+          >
+            {t('filters_title')}{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+          </button>
+
+          <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+            {/* Filter Sidebar */}
+            <div className={`${showFilters ? 'block' : 'hidden'} lg:block`}>
+              <CarFilters
+                facets={facets}
+                filters={filters}
+                onChange={updateParams}
+                onClear={clearFilters}
+              />
+            </div>
+
+            {/* Cars Grid */}
+            <div className="lg:col-span-3">
+              {renderResults()}
+            </div>
+          </div>
+
+          {/* Pagination — meta.pagination se */}
+          {!loading && !error && pageCount > 1 && (
+            <nav className="flex items-center justify-center gap-2 mt-10">
+              <button
+                type="button"
+                onClick={() => goToPage(page - 1)}
+                disabled={page <= 1}
+                className="px-3 py-2 border rounded-lg bg-white hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t('pagination_prev')}
+              </button>
+              {Array.from({ length: pageCount }, (_, i) => i + 1).map((number) => (
+                <button
+                  key={number}
+                  type="button"
+                  onClick={() => goToPage(number)}
+                  aria-current={number === page ? 'page' : undefined}
+                  className={`px-3 py-2 border rounded-lg ${
+                    number === page ? 'bg-green-600 text-white border-green-600' : 'bg-white hover:bg-gray-100'
+                  }`}
                 >
-                  {/* Image — ab hamesha img src hoga, placeholder fallback */}
-                  <img
-                    src={car.img}
-                    alt={car.Title[currentLanguage] || car.Title.en}
-                    className="w-full h-80 object-cover rounded-t-xl"
-                  />
-                  <div className="p-4">
-                    <h2 className="text-lg font-semibold">
-                      {car.Title[currentLanguage] || car.Title.en}
-                    </h2>
-                    <div className="text-green-600 font-bold mt-1">
-                      {t('car_price', { price: car.price.toLocaleString() })}
-                    </div>
-                    <div className="text-gray-500 text-sm">
-                      {t('car_year', { year: car.year })} • 
-                      {car.mileage[currentLanguage] || car.mileage.en}
-                    </div>
-                    <p className="text-sm text-gray-600 mt-2">{car.short[currentLanguage] || car.short.en}</p>
-
-                    <Link
-                      to={getLink(`/cars/${car.id}`)}
-                      className="inline-block px-3 py-2 bg-green-600 text-white rounded hover:bg-green-700 text-sm mt-3"
-                    >
-                      {t('view_details')}
-                    </Link>
-                  </div>
-                </div>
+                  {number}
+                </button>
               ))}
-            </div>
-          ) : (
-            <p className="text-gray-500 text-center text-lg">{t('no_cars_found')}</p>
+              <button
+                type="button"
+                onClick={() => goToPage(page + 1)}
+                disabled={page >= pageCount}
+                className="px-3 py-2 border rounded-lg bg-white hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {t('pagination_next')}
+              </button>
+            </nav>
           )}
         </div>
       </div>
+      <CompareTray language={currentLanguage} />
     </Layout>
   );
 }
@@ -0,0 +1,169 @@
+import React, { useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import Layout from '../components/Layout';
+import Seo from '../components/Seo';
+import StatusRibbon from '../components/StatusRibbon';
+import { fetchCarsForComparison, useQuery } from '../api';
+import { MAX_COMPARE, removeFromCompare, useCompare } from '../utils/compare';
+import { useCurrency } from '../utils/currency';
+import { formatMileage } from '../utils/format';
+import { formatPrice } from '../utils/price';
+import { carPath } from '../utils/routes';
+
+export default function Compare() {
+  const { t, i18n } = useTranslation();
+  const { lng } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { items } = useCompare();
+  const { currency, rates } = useCurrency();
+
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+  // Strapi locale — URL param se
+  const locale = ['en', 'ja'].includes(lng) ? lng : 'ja';
+
+  useEffect(() => {
+    if (lng && ['en', 'ja'].includes(lng)) i18n.changeLanguage(lng);
+    else i18n.changeLanguage('ja');
+  }, [lng, i18n]);
+
+  // ?cars=id1,id2 — link share ho sake; na ho to tray wali cars
+  const param = searchParams.get('cars');
+  const documentIds = (param ? param.split(',').filter(Boolean) : items.map((item) => item.documentId)).slice(
+    0,
+    MAX_COMPARE
+  );
+
+  const carsQuery = useQuery(
+    ['compareCars', { locale, documentIds }],
+    () => fetchCarsForComparison({ documentIds, locale }),
+    { enabled: documentIds.length > 0, keepPreviousData: true }
+  );
+  const found = carsQuery.data || [];
+  // URL ke order mein
+  const cars = documentIds.map((id) => found.find((car) => car.documentId === id)).filter(Boolean);
+
+  const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
+
+  const removeCar = (documentId) => {
+    removeFromCompare(documentId);
+    if (param) {
+      const rest = documentIds.filter((id) => id !== documentId);
+      setSearchParams(rest.length ? { cars: rest.join(',') } : {}, { replace: true });
+    }
+  };
+
+  // Table rows — khali values "—" dikhti hain
+  const rows = [
+    { key: 'compare_price', value: (car) => formatPrice(car.price, { t, language: currentLanguage, currency, rates }) },
+    { key: 'compare_status', value: (car) => t(`sale_status_${car.saleStatus}`) },
+    { key: 'spec_year', value: (car) => car.detail?.year || car.year },
+    // Machinery par hour meter, gaadiyon par km
+    {
+      key: 'compare_hours_mileage',
+      value: (car) => {
+        if (car.detail?.hours) return t('compare_hours_value', { hours: car.detail.hours.toLocaleString() });
+        return car.mileage ? formatMileage(car.mileage) : null;
+      },
+    },
+    { key: 'spec_transmission', value: (car) => car.detail?.transmission },
+    { key: 'spec_location', value: (car) => car.detail?.location },
+    { key: 'car_shaken', value: (car) => car.detail?.shaken },
+    { key: 'car_kittsu', value: (car) => car.detail?.kittsu },
+    { key: 'spec_engine_cc', value: (car) => (car.detail?.engineCc ? `${car.detail.engineCc.toLocaleString()} cc` : null) },
+    { key: 'spec_fuel', value: (car) => car.detail?.fuel },
+    { key: 'spec_weight', value: (car) => (car.detail?.weightKg ? `${car.detail.weightKg.toLocaleString()} kg` : null) },
+    { key: 'spec_model_code', value: (car) => car.detail?.modelCode },
+  ].map((row) => {
+    const values = cars.map((car) => row.value(car) || null);
+    // Kam se kam do cars mein alag value ho to row highlight
+    const differs = new Set(values.map((value) => value ?? '')).size > 1;
+    return { ...row, values, differs };
+  });
+
+  const renderContent = () => {
+    if (documentIds.length < 2) {
+      return (
+        <div className="bg-white rounded-xl shadow p-10 text-center">
+          <p className="text-gray-600 mb-4">{t('compare_empty', { max: MAX_COMPARE })}</p>
+          <Link
+            to={getLink('/cars')}
+            className="inline-block px-5 py-3 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700"
+          >
+            {t('favorites_browse')}
+          </Link>
+        </div>
+      );
+    }
+
+    if (carsQuery.isLoading) {
+      return <p className="text-lg text-gray-600 text-center py-20">Cars load ho rahe hain...</p>;
+    }
+
+    if (carsQuery.error) {
+      return <p className="text-lg text-red-600 text-center py-20">Cars fetch nahi hue, Strapi check kar!</p>;
+    }
+
+    return (
+      <div className="overflow-x-auto bg-white rounded-xl shadow">
+        <table className={`w-full text-sm transition-opacity ${carsQuery.isPreviousData ? 'opacity-60' : ''}`}>
+          <thead>
+            <tr>
+              <th className="w-40" />
+              {cars.map((car) => (
+                <th key={car.documentId} className="p-4 align-top text-left font-normal min-w-[12rem]">
+                  <div className="relative">
+                    <img
+                      src={car.cover?.url || '/placeholder.jpg'}
+                      alt={car.title}
+                      className="w-full h-32 object-cover rounded-lg"
+                    />
+                    <StatusRibbon status={car.saleStatus} />
+                  </div>
+                  <Link to={getLink(carPath(car))} className="block mt-2 font-semibold text-gray-800 hover:text-green-600">
+                    {car.title}
+                  </Link>
+                  <button
+                    type="button"
+                    onClick={() => removeCar(car.documentId)}
+                    className="mt-1 text-xs text-gray-500 hover:underline"
+                  >
+                    {t('compare_remove_short')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key} className={`border-t ${row.differs ? 'bg-amber-50' : ''}`}>
+                <th scope="row" className={`p-4 text-left text-gray-600 ${row.differs ? 'font-semibold' : 'font-medium'}`}>
+                  {t(row.key)}
+                </th>
+                {row.values.map((value, index) => (
+                  <td key={cars[index].documentId} className="p-4 text-gray-800">
+                    {value ?? '—'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <Layout>
+      {/* Har visitor ka apna selection — search results mein nahi */}
+      <Seo title={t('compare_title')} noindex />
+      <div className="min-h-screen bg-gray-50">
+        <div className="container mx-auto px-6 lg:px-8 py-10">
+          <h1 className="text-3xl font-bold text-gray-800">{t('compare_title')}</h1>
+          <p className="text-sm text-gray-500 mt-1 mb-8">{t('compare_subtitle')}</p>
+          {renderContent()}
+        </div>
+      </div>
+    </Layout>
+  );
+}
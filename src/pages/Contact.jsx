@@ -1,11 +1,22 @@
 import React from 'react';
 import { useTranslation } from 'react-i18next';
-import { useParams } from 'react-router-dom';
-import { Helmet } from 'react-helmet';
+import { useParams, useSearchParams } from 'react-router-dom';
+import Seo from '../components/Seo';
+import { fetchCarTitle, submitInquiry, useQuery } from '../api';
+import { validateInquiry } from '../utils/inquiry';
+
+const EMPTY_FORM = { name: '', email: '', phone: '', message: '' };
 
 export default function Contact() {
   const { t, i18n } = useTranslation();
   const { lng } = useParams();
+  const [searchParams] = useSearchParams();
+  // Car detail page se aaye to ?car=<documentId>
+  const carId = searchParams.get('car');
+
+  const [form, setForm] = React.useState(EMPTY_FORM);
+  const [errors, setErrors] = React.useState({});
+  const [status, setStatus] = React.useState('idle'); // idle | sending | success | error
 
   // Normalize language to 'en' or 'ja'
   const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
@@ -19,17 +30,58 @@ export default function Contact() {
     }
   }, [lng, i18n]);
 
+  // Inquiry kis car ke baare mein hai — title dikhane ke liye
+  const carTitleQuery = useQuery(
+    ['carTitle', { documentId: carId, locale: currentLanguage }],
+    () => fetchCarTitle({ documentId: carId, locale: currentLanguage }),
+    { enabled: Boolean(carId) }
+  );
+  const carTitle = carId ? carTitleQuery.data || '' : '';
+
   const contactDetails = {
     address: { en: 'Tokyo, Japan', ja: '日本、東京都' },
     phone: { en: '+81 90-1234-5678', ja: '+81 90-1234-5678' },
     email: { en: 'info@japancars.com', ja: 'info@japancars.com' },
   };
 
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    // Field theek hote hi uska error hata do
+    if (errors[name]) setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateInquiry(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setStatus('sending');
+    try {
+      await submitInquiry({ ...form, language: currentLanguage, car: carId || undefined });
+      setForm(EMPTY_FORM);
+      setStatus('success');
+    } catch (err) {
+      console.error('Inquiry submit error:', err);
+      if (err.fieldErrors) setErrors(err.fieldErrors);
+      setStatus('error');
+    }
+  };
+
+  // "required" / "invalid" ... -> translated message (field-specific key pehle)
+  const errorText = (field) =>
+    errors[field] ? t([`form_error_${field}_${errors[field]}`, `form_error_${errors[field]}`]) : null;
+
+  const inputClass = (field) =>
+    `w-full border rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-green-500 ${
+      errors[field] ? 'border-red-500' : 'border-gray-300'
+    }`;
+
   return (
     <div className="bg-gray-50 min-h-screen">
-      <Helmet>
-        <html lang={currentLanguage} />
-      </Helmet>
+      <Seo title={t('contact_title')} description={t('contact_subtitle')} path="/contact" />
       {/* Hero Section */}
       <section className="bg-gradient-to-r from-green-700 to-green-900 text-white py-16 text-center">
         <h1 className="text-4xl md:text-5xl font-bold mb-4">{t('contact_title')}</h1>
@@ -61,41 +113,96 @@ export default function Contact() {
         </div>
 
         {/* Right Side - Form */}
-        <div className="bg-white rounded-xl shadow-md p-8 space-y-6">
-          <div>
-            <label className="block text-gray-700 font-medium mb-2">{t('form_name')}</label>
-            <input
-              type="text"
-              placeholder={t('form_name_placeholder')}
-              className="w-full border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
-            />
+        {status === 'success' ? (
+          <div className="bg-white rounded-xl shadow-md p-8 text-center flex flex-col items-center justify-center" role="status">
+            <span className="text-5xl mb-4">✅</span>
+            <h3 className="text-2xl font-bold text-gray-800 mb-2">{t('form_success_title')}</h3>
+            <p className="text-gray-600 mb-6">{t('form_success_desc')}</p>
+            <button
+              type="button"
+              onClick={() => setStatus('idle')}
+              className="text-green-600 font-medium hover:underline"
+            >
+              {t('form_send_another')}
+            </button>
           </div>
+        ) : (
+          <form onSubmit={handleSubmit} noValidate className="bg-white rounded-xl shadow-md p-8 space-y-6">
+            {carTitle && (
+              <p className="bg-green-50 text-green-800 rounded-lg px-4 py-2 text-sm">
+                {t('form_regarding', { title: carTitle })}
+              </p>
+            )}
+
+            <div>
+              <label htmlFor="inquiry-name" className="block text-gray-700 font-medium mb-2">{t('form_name')}</label>
+              <input
+                id="inquiry-name"
+                name="name"
+                type="text"
+                value={form.name}
+                onChange={handleChange}
+                placeholder={t('form_name_placeholder')}
+                className={inputClass('name')}
+              />
+              {errors.name && <p className="text-sm text-red-600 mt-1">{errorText('name')}</p>}
+            </div>
 
-          <div>
-            <label className="block text-gray-700 font-medium mb-2">{t('form_email')}</label>
-            <input
-              type="email"
-              placeholder={t('form_email_placeholder')}
-              className="w-full border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
-            />
-          </div>
+            <div>
+              <label htmlFor="inquiry-email" className="block text-gray-700 font-medium mb-2">{t('form_email')}</label>
+              <input
+                id="inquiry-email"
+                name="email"
+                type="email"
+                value={form.email}
+                onChange={handleChange}
+                placeholder={t('form_email_placeholder')}
+                className={inputClass('email')}
+              />
+              {errors.email && <p className="text-sm text-red-600 mt-1">{errorText('email')}</p>}
+            </div>
 
-          <div>
-            <label className="block text-gray-700 font-medium mb-2">{t('form_message')}</label>
-            <textarea
-              rows="4"
-              placeholder={t('form_message_placeholder')}
-              className="w-full border border-gray-300 rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-green-500"
-            ></textarea>
-          </div>
+            <div>
+              <label htmlFor="inquiry-phone" className="block text-gray-700 font-medium mb-2">{t('form_phone')}</label>
+              <input
+                id="inquiry-phone"
+                name="phone"
+                type="tel"
+                value={form.phone}
+                onChange={handleChange}
+                placeholder={t('form_phone_placeholder')}
+                className={inputClass('phone')}
+              />
+              {errors.phone && <p className="text-sm text-red-600 mt-1">{errorText('phone')}</p>}
+            </div>
 
-          <button
-            type="button"
-            className="bg-green-600 text-white px-6 py-3 rounded-lg w-full hover:bg-green-700 transition"
-          >
-            {t('send_message')}
-          </button>
-        </div>
+            <div>
+              <label htmlFor="inquiry-message" className="block text-gray-700 font-medium mb-2">{t('form_message')}</label>
+              <textarea
+                id="inquiry-message"
+                name="message"
+                rows="4"
+                value={form.message}
+                onChange={handleChange}
+                placeholder={t('form_message_placeholder')}
+                className={inputClass('message')}
+              ></textarea>
+              {errors.message && <p className="text-sm text-red-600 mt-1">{errorText('message')}</p>}
+            </div>
+
+            {status === 'error' && (
+              <p className="text-sm text-red-600" role="alert">{t('form_error_submit')}</p>
+            )}
+
+            <button
+              type="submit"
+              disabled={status === 'sending'}
+              className="bg-green-600 text-white px-6 py-3 rounded-lg w-full hover:bg-green-700 transition disabled:opacity-60 disabled:cursor-not-allowed"
+            >
+              {status === 'sending' ? t('form_sending') : t('send_message')}
+            </button>
+          </form>
+        )}
       </section>
 
       {/* Google Map */}
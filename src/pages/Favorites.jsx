@@ -0,0 +1,143 @@
+import React, { useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import Layout from '../components/Layout';
+import Seo from '../components/Seo';
+import FavoriteButton from '../components/FavoriteButton';
+import StatusRibbon from '../components/StatusRibbon';
+import { fetchCarsByDocumentIds, useQuery } from '../api';
+import { removeFavorites, useFavorites } from '../utils/favorites';
+import { useCurrency } from '../utils/currency';
+import { formatMileage } from '../utils/format';
+import { formatPrice, formatPriceNote } from '../utils/price';
+import { carPath } from '../utils/routes';
+
+export default function Favorites() {
+  const { t, i18n } = useTranslation();
+  const { lng } = useParams();
+  const { favorites, syncError } = useFavorites();
+  const { currency, rates } = useCurrency();
+
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+  // Strapi locale — URL param se
+  const locale = ['en', 'ja'].includes(lng) ? lng : 'ja';
+
+  useEffect(() => {
+    if (lng && ['en', 'ja'].includes(lng)) i18n.changeLanguage(lng);
+    else i18n.changeLanguage('ja');
+  }, [lng, i18n]);
+
+  // Saved cars ki current price/status — heart hatane par naya data aane tak pichla grid
+  const carsQuery = useQuery(
+    ['favoriteCars', { locale, documentIds: favorites }],
+    () => fetchCarsByDocumentIds({ documentIds: favorites, locale }),
+    { enabled: favorites.length > 0, keepPreviousData: true }
+  );
+  const found = carsQuery.data || [];
+  // Jis order mein save ki thi
+  const cars = favorites.map((id) => found.find((car) => car.documentId === id)).filter(Boolean);
+  // Delete / unpublish ho chuki cars
+  const unavailable = carsQuery.data && !carsQuery.isPreviousData
+    ? favorites.filter((id) => !found.some((car) => car.documentId === id))
+    : [];
+
+  const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
+
+  const renderResults = () => {
+    if (favorites.length === 0) {
+      return (
+        <div className="bg-white rounded-xl shadow p-10 text-center">
+          <p className="text-gray-600 mb-4">{t('favorites_empty')}</p>
+          <Link
+            to={getLink('/cars')}
+            className="inline-block px-5 py-3 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700"
+          >
+            {t('favorites_browse')}
+          </Link>
+        </div>
+      );
+    }
+
+    if (carsQuery.isLoading) {
+      return <p className="text-lg text-gray-600 text-center py-20">Saved cars load ho rahe hain...</p>;
+    }
+
+    if (carsQuery.error) {
+      return <p className="text-lg text-red-600 text-center py-20">Saved cars fetch nahi hue, Strapi check kar!</p>;
+    }
+
+    return (
+      <div
+        className={`grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6 transition-opacity ${
+          carsQuery.isPreviousData ? 'opacity-60' : ''
+        }`}
+      >
+        {cars.map((car) => (
+          <div key={car.documentId} className="relative bg-white rounded-xl shadow">
+            <div className="relative">
+              <img
+                src={car.cover?.url || '/placeholder.jpg'}
+                alt={car.title}
+                className="w-full h-60 object-cover rounded-t-xl"
+              />
+              <StatusRibbon status={car.saleStatus} />
+            </div>
+            <FavoriteButton car={car} className="absolute top-3 right-3" />
+            <div className="p-4">
+              <h2 className="text-lg font-semibold">{car.title}</h2>
+              <div className="text-green-600 font-bold mt-1">
+                {formatPrice(car.price, { t, language: currentLanguage, currency, rates })}
+                {formatPriceNote(car.price, { t }) && (
+                  <span className="ml-2 text-xs font-medium text-green-700">{formatPriceNote(car.price, { t })}</span>
+                )}
+              </div>
+              <div className="text-gray-500 text-sm">
+                {t('car_year', { year: car.year ?? 'N/A' })} • {formatMileage(car.mileage)}
+              </div>
+              <Link
+                to={getLink(carPath(car))}
+                className="inline-block px-3 py-2 bg-green-600 text-white rounded hover:bg-green-700 text-sm mt-3"
+              >
+                {t('view_details')}
+              </Link>
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <Layout>
+      {/* Har visitor ki apni list — search results mein nahi */}
+      <Seo title={t('favorites_title')} noindex />
+      <div className="min-h-screen bg-gray-50">
+        <div className="container mx-auto px-6 lg:px-8 py-10">
+          <h1 className="text-3xl font-bold text-gray-800">{t('favorites_title')}</h1>
+          <p className="text-sm text-gray-500 mt-1 mb-8">{t('favorites_subtitle')}</p>
+
+          {syncError && (
+            <p className="mb-6 bg-amber-50 border border-amber-200 text-amber-800 rounded-lg px-4 py-3">
+              {t('favorites_sync_failed')}
+            </p>
+          )}
+
+          {unavailable.length > 0 && (
+            <div className="mb-6 flex flex-col sm:flex-row sm:items-center justify-between gap-3 bg-amber-50 border border-amber-200 text-amber-800 rounded-lg px-4 py-3">
+              <p>{t('favorites_unavailable', { count: unavailable.length })}</p>
+              <button
+                type="button"
+                onClick={() => removeFavorites(unavailable)}
+                className="text-sm font-medium underline hover:no-underline"
+              >
+                {t('favorites_remove_unavailable')}
+              </button>
+            </div>
+          )}
+
+          {renderResults()}
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,98 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import AccountShell from '../components/AccountShell';
+import { forgotPassword } from '../api';
+import { validateForgotPassword } from '../utils/account';
+
+export default function ForgotPassword() {
+  const { t, i18n } = useTranslation();
+  const { lng } = useParams();
+
+  const [form, setForm] = React.useState({ email: '' });
+  const [errors, setErrors] = React.useState({});
+  const [status, setStatus] = React.useState('idle'); // idle | sending | success | error
+
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+
+  // Language set kar URL se
+  React.useEffect(() => {
+    if (lng && ['en', 'ja'].includes(lng)) i18n.changeLanguage(lng);
+    else i18n.changeLanguage('ja');
+  }, [lng, i18n]);
+
+  const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateForgotPassword(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setStatus('sending');
+    try {
+      await forgotPassword(form);
+      setStatus('success');
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setStatus('error');
+    }
+  };
+
+  const footer = (
+    <p>
+      <Link to={getLink('/account/login')} className="text-green-600 font-medium hover:underline">
+        {t('account_back_to_login')}
+      </Link>
+    </p>
+  );
+
+  return (
+    <AccountShell title={t('account_forgot_title')} subtitle={t('account_forgot_subtitle')} footer={footer}>
+      {status === 'success' ? (
+        // Account ho ya na ho, same message — emails guess na ho sakein
+        <p className="bg-green-50 text-green-800 rounded-lg px-4 py-3" role="status">
+          {t('account_forgot_sent', { email: form.email.trim() })}
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} noValidate className="space-y-5">
+          <div>
+            <label htmlFor="forgot-email" className="block text-gray-700 font-medium mb-2">{t('form_email')}</label>
+            <input
+              id="forgot-email"
+              name="email"
+              type="email"
+              autoComplete="email"
+              value={form.email}
+              onChange={(e) => {
+                setForm({ email: e.target.value });
+                setErrors({});
+              }}
+              className={`w-full border rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-green-500 ${
+                errors.email ? 'border-red-500' : 'border-gray-300'
+              }`}
+            />
+            {errors.email && (
+              <p className="text-sm text-red-600 mt-1">
+                {t([`form_error_email_${errors.email}`, `form_error_${errors.email}`])}
+              </p>
+            )}
+          </div>
+
+          {status === 'error' && (
+            <p className="text-sm text-red-600" role="alert">{t('account_error_generic')}</p>
+          )}
+
+          <button
+            type="submit"
+            disabled={status === 'sending'}
+            className="bg-green-600 text-white px-6 py-3 rounded-lg w-full hover:bg-green-700 transition disabled:opacity-60 disabled:cursor-not-allowed"
+          >
+            {status === 'sending' ? t('form_sending') : t('account_forgot_button')}
+          </button>
+        </form>
+      )}
+    </AccountShell>
+  );
+}
@@ -1,20 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
-import axios from 'axios';
 import Layout from '../components/Layout';
+import Seo from '../components/Seo';
+import StatusRibbon from '../components/StatusRibbon';
+import FavoriteButton from '../components/FavoriteButton';
+import { fetchFeaturedCars, fetchRecentlySoldCars, useQuery } from '../api';
+import { formatMileage, formatMonth } from '../utils/format';
+import { formatPrice, formatPriceNote, formatOriginalPrice } from '../utils/price';
+import { useCurrency } from '../utils/currency';
+import { carPath } from '../utils/routes';
 
 export default function Home() {
   const { t, i18n } = useTranslation();
   const { lng } = useParams();
 
   const [query, setQuery] = useState('');
-  const [cars, setCars] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // Navbar mein chuni currency — prices approx. us mein
+  const { currency, rates } = useCurrency();
 
   // --- Normalize language ---
   const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+  // --- Strapi locale (URL param se) ---
+  const locale = ['en', 'ja'].includes(lng) ? lng : 'ja';
 
   // --- URL se language set karna ---
   useEffect(() => {
@@ -25,173 +33,22 @@ export default function Home() {
     }
   }, [lng, i18n]);
 
-  // --- Helper function for mileage formatting ---
-  const formatMileage = (mileage) => {
-    if (!mileage) return 'N/A km';
-    const num = parseInt(mileage, 10);
-    if (Number.isNaN(num)) return 'N/A km';
-    return num.toLocaleString() + ' km';
-  };
-
-
-
-  // --- Strapi se data fetch karna ---
-  /* eslint-disable no-undef */
-  useEffect(() => {
-    const fetchCars = async () => {
-      try {
-
-        // const strapiUrl = process.env.REACT_APP_STRAPI_URL || 'http://localhost:1337';
-        const strapiUrl = import.meta.env.VITE_STRAPI_URL || 'http://localhost:1337';
-        const response = await axios.get(`${strapiUrl}/api/cars?populate=image`);
-        console.log('Strapi URL:', strapiUrl);
-
-
-        // fetchCars function ke andar
-        // const mappedCars = response.data.data.map((car) => ({
-        //   id: car.id,
-        //   Title: {
-        //     en: car.title_en || '',  // Direct access
-        //     ja: car.title_ja || '',
-        //   },
-        //   price: parseInt(car.price, 10) || 0,  // String to number
-        //   year: car.year || 'N/A',
-        //   mileage: {
-        //     en: formatMileage(car.mileage_en),  // Direct
-        //     ja: formatMileage(car.mileage_ja),
-        //   },
-        //   // ✅ FIXED IMAGE: Handles Multiple Media (array) + Single (fallback)
-        //   img: car.image?.data
-        //     ? `${strapiUrl}${Array.isArray(car.image.data)
-        //       ? car.image.data[0]?.attributes?.url || null  // First image from multiple array
-        //       : car.image.data?.attributes?.url || null  // Fallback for single media (purana data)
-        //     }`
-        //     : null,
-        //   short: {
-        //     en: 'A reliable used car ready for new adventures',
-        //     ja: '新しい冒険に備えた信頼できる中古車',
-        //   },
-        // }));
-
-
-
-        // const mappedCars = response.data.data.map((rawCar) => {
-        //   // v5 mein already flattened, so direct use karo (no attributes extract needed)
-        //   const car = rawCar;  // Yeh simple rakha — id aur fields direct hain
-
-        //   return {
-        //     id: car.id,
-        //     Title: {
-        //       en: car.title_en || '',  // Direct — v5 style
-        //       ja: car.title_ja || '',
-        //     },
-        //     price: parseInt(car.price, 10) || 0,
-        //     year: car.year || 'N/A',
-        //     mileage: {
-        //       en: formatMileage(car.mileage_en),
-        //       ja: formatMileage(car.mileage_ja),
-        //     },
-        //     // ✅ v5 FIXED IMAGE: Multiple (data[0].url) + Single (direct url) fallback
-
-
-        //     img: car.image?.data
-        //       ? `${strapiUrl}${Array.isArray(car.image.data)
-        //         ? car.image.data[0]?.url || null  // First image from multiple array (no attributes!)
-        //         : car.image.data?.url || null  // Fallback for single media (direct url)
-        //       }`
-        //       : null,
-        //     short: {
-        //       en: 'A reliable used car ready for new adventures',
-        //       ja: '新しい冒険に備えた信頼できる中古車',
-        //     },
-        //   };
-        // });
-
-
-        const mappedCars = response.data.data.map((rawCar) => {
-          // v5 mein already flattened, so direct use karo
-          const car = rawCar;  // Simple — id aur fields direct hain
-
-          // ✅ DEBUG LOGS: Yeh yahan daalo — har car ke liye print hoga
-          console.log('Full Raw Car (v5):', rawCar);  // Pura structure dekho
-          console.log('Car Image Data:', car.image?.data);  // Array hona chahiye [ { id:1, url:'/uploads/...' } ]
-          console.log('First Image URL:', car.image?.data?.[0]?.url);  // Yeh valid URL dikhega
-          console.log('Final Img:', /* img value here — neeche calculate karo pehle */
-            car.image?.data
-              ? `${strapiUrl}${Array.isArray(car.image.data)
-                ? car.image.data[0]?.url || null
-                : car.image.data?.url || null
-              }`
-              : null
-          );  // Complete URL like 'http://localhost:1337/uploads/car.jpg'
-
-          return {
-            id: car.id,
-            Title: {
-              en: car.title_en || '',
-              ja: car.title_ja || '',
-            },
-            price: parseInt(car.price, 10) || 0,
-            year: car.year || 'N/A',
-            mileage: {
-              en: formatMileage(car.mileage_en),
-              ja: formatMileage(car.mileage_ja),
-            },
-            // Image logic (same as before)
-            // img: car.image?.data
-            //   ? `${strapiUrl}${Array.isArray(car.image.data)
-            //     ? car.image.data[0]?.url || null
-            //     : car.image.data?.url || null
-            //   }`
-            //   : null,
-
-            img: car.image && car.image.length > 0
-              ? `${strapiUrl}${car.image[0].url}`
-              : '/placeholder.jpg',  // Public folder mein default image daal do
-            short: {
-              en: 'A reliable used car ready for new adventures',
-              ja: '新しい冒険に備えた信頼できる中古車',
-            },
-          };
-        });
-
-        // Sirf pehli 3 cars featured ke liye
-        setCars(mappedCars.slice(0, 3));
-        console.log('Fetched featured cars from Strapi (v5):', mappedCars.slice(0, 3));
-
-        // Sirf pehli 3 cars featured ke liye
-        setCars(mappedCars.slice(0, 3));
-        console.log('Fetched featured cars from Strapi (v5):', mappedCars.slice(0, 3));
-
-        // Sirf pehli 3 cars featured ke liye
-        setCars(mappedCars.slice(0, 3));
-        console.log('Fetched featured cars from Strapi:', mappedCars.slice(0, 3));
-
-        // Sirf pehli 3 cars featured ke liye
-        setCars(mappedCars.slice(0, 3));
-        console.log('Fetched featured cars from Strapi:', mappedCars.slice(0, 3));
-      } catch (err) {
-        setError('Featured cars fetch nahi hue, Strapi check kar!');
-        console.error('Fetch error:', err);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchCars();
-  }, []);
-  /* eslint-enable no-undef */
-
-
+  // --- Strapi se featured cars (src/api, shared query cache) ---
+  const featuredQuery = useQuery(['featuredCars', { locale }], () => fetchFeaturedCars({ locale, limit: 3 }));
+  const cars = featuredQuery.data || [];
+  const loading = featuredQuery.isLoading;
+  const error = featuredQuery.error ? 'Featured cars fetch nahi hue, Strapi check kar!' : null;
 
+  // Haal hi mein biki cars — trust ke liye; fail ho to section hi nahi dikhta
+  const soldQuery = useQuery(['recentlySoldCars', { locale }], () => fetchRecentlySoldCars({ locale, limit: 4 }));
+  const soldCars = soldQuery.data || [];
 
   // --- Helper to generate language-prefixed links ---
   const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
 
   // --- Search filtering ---
   const filtered = cars.filter((c) => {
-    const title = c.Title[currentLanguage] || c.Title.en;
-    return title?.toLowerCase().includes(query.trim().toLowerCase());
+    return c.title.toLowerCase().includes(query.trim().toLowerCase());
   });
 
   // --- Loading state ---
@@ -219,6 +76,7 @@ export default function Home() {
   // --- Main Render ---
   return (
     <Layout>
+      <Seo description={t('hero_subtitle')} image={cars[0]?.cover?.url} />
       <div className="min-h-screen bg-gray-200 text-gray-800">
         {/* --- HERO --- */}
         <header className="relative">
@@ -246,7 +104,7 @@ export default function Home() {
                       className="w-full sm:w-2/3 px-4 py-3 rounded-lg bg-white bg-opacity-90 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-green-400"
                     />
                     <Link
-                      to={getLink('/cars')}
+                      to={getLink(query.trim() ? `/cars?q=${encodeURIComponent(query.trim())}` : '/cars')}
                       className="inline-flex items-center justify-center px-5 py-3 bg-green-600 hover:bg-green-700 text-white rounded-lg font-semibold"
                     >
                       {t('browse_cars')}
@@ -281,10 +139,10 @@ export default function Home() {
                   className="border rounded-lg overflow-hidden bg-white"
                 >
                   <div className="relative">
-                    {car.img ? (
+                    {car.cover ? (
                       <img
-                        src={car.img}
-                        alt={car.Title[currentLanguage] || car.Title.en}
+                        src={car.cover.url}
+                        alt={car.title}
                         className="w-full h-80 object-cover"
                       />
                     ) : (
@@ -293,32 +151,39 @@ export default function Home() {
                       </div>
                     )}
                     <div className="absolute top-3 right-3 bg-black bg-opacity-40 text-white px-2 py-1 rounded">
-                      {t('car_year', { year: car.year })}
+                      {t('car_year', { year: car.year ?? 'N/A' })}
                     </div>
+                    <StatusRibbon status={car.saleStatus} />
+                    <FavoriteButton car={car} className="absolute top-3 left-3" />
                   </div>
                   <div className="p-4">
                     <h3 className="text-lg font-semibold">
-                      {car.Title[currentLanguage] || car.Title.en}
+                      {car.title}
                     </h3>
                     <p className="text-sm text-gray-600 mt-1">
-                      {car.short[currentLanguage] || car.short.en}
+                      {t('car_short_default')}
                     </p>
                     <div className="flex items-center justify-between mt-4">
                       <div>
                         <div className="text-green-600 font-bold">
-                          {t('car_price', {
-                            price: car.price.toLocaleString(),
-                          })}
+                          {formatPrice(car.price, { t, language: currentLanguage, currency, rates })}
                         </div>
+                        {formatOriginalPrice(car.price, { t, language: currentLanguage, currency, rates }) && (
+                          <div className="text-xs text-gray-500">
+                            {formatOriginalPrice(car.price, { t, language: currentLanguage, currency, rates })}
+                          </div>
+                        )}
+                        {formatPriceNote(car.price, { t }) && (
+                          <div className="text-xs text-green-700">{formatPriceNote(car.price, { t })}</div>
+                        )}
                         <div className="text-xs text-gray-500">
                           {t('car_mileage', {
-                            mileage:
-                              car.mileage[currentLanguage] || car.mileage.en,
+                            mileage: formatMileage(car.mileage),
                           })}
                         </div>
                       </div>
                       <Link
-                        to={getLink(`/cars/${car.id}`)}
+                        to={getLink(carPath(car))}
                         className="inline-block px-3 py-2 bg-green-600 text-white rounded hover:bg-green-700 text-sm"
                       >
                         {t('view_car')}
@@ -330,6 +195,46 @@ export default function Home() {
             </div>
           </section>
 
+          {/* --- Recently sold --- */}
+          {soldCars.length > 0 && (
+            <section className="mt-8 bg-white rounded-xl shadow-lg p-6">
+              <h2 className="text-2xl font-bold">{t('recently_sold_title')}</h2>
+              <p className="text-sm text-gray-600 mt-1">{t('recently_sold_subtitle')}</p>
+
+              <div className="mt-6 grid grid-cols-2 lg:grid-cols-4 gap-4">
+                {soldCars.map((car) => (
+                  <Link
+                    key={car.id}
+                    to={getLink(carPath(car))}
+                    className="block border rounded-lg overflow-hidden hover:shadow-md transition"
+                  >
+                    <div className="relative">
+                      {car.cover ? (
+                        <img
+                          src={car.cover.url}
+                          alt={car.title}
+                          loading="lazy"
+                          className="w-full h-36 object-cover"
+                        />
+                      ) : (
+                        <div className="w-full h-36 bg-gray-200" />
+                      )}
+                      <StatusRibbon status={car.saleStatus} />
+                    </div>
+                    <div className="p-3">
+                      <h3 className="text-sm font-semibold line-clamp-2">{car.title}</h3>
+                      {car.soldAt && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          {t('sold_on', { date: formatMonth(car.soldAt, currentLanguage) })}
+                        </p>
+                      )}
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            </section>
+          )}
+
           {/* --- How it works --- */}
           <section className="mt-8">
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
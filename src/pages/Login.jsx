@@ -0,0 +1,131 @@
+import React from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import AccountShell from '../components/AccountShell';
+import { login } from '../api';
+import { safeNextPath, validateLogin } from '../utils/account';
+import { signIn } from '../utils/auth';
+
+const EMPTY_FORM = { email: '', password: '' };
+
+export default function Login() {
+  const { t, i18n } = useTranslation();
+  const { lng } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  const [form, setForm] = React.useState(EMPTY_FORM);
+  const [errors, setErrors] = React.useState({});
+  const [status, setStatus] = React.useState('idle'); // idle | sending | error
+
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+
+  // Language set kar URL se
+  React.useEffect(() => {
+    if (lng && ['en', 'ja'].includes(lng)) i18n.changeLanguage(lng);
+    else i18n.changeLanguage('ja');
+  }, [lng, i18n]);
+
+  const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
+  // Account page (ya jahan se login ke liye bheja gaya tha)
+  const next = safeNextPath(searchParams.get('next'), getLink('/account'));
+  // Register page ko bhi wahi ?next= aage
+  const nextQuery = searchParams.get('next') ? `?next=${encodeURIComponent(next)}` : '';
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateLogin(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setStatus('sending');
+    try {
+      signIn(await login(form));
+      navigate(next, { replace: true });
+    } catch (err) {
+      console.error('Login error:', err);
+      // 400 = galat email/password (ya blocked) — baaki network/server
+      setStatus(err.kind === 'validation' ? 'invalid' : 'error');
+    }
+  };
+
+  const errorText = (field) =>
+    errors[field] ? t([`form_error_${field}_${errors[field]}`, `form_error_${errors[field]}`]) : null;
+
+  const inputClass = (field) =>
+    `w-full border rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-green-500 ${
+      errors[field] ? 'border-red-500' : 'border-gray-300'
+    }`;
+
+  return (
+    <AccountShell
+      title={t('account_login_title')}
+      subtitle={t('account_login_subtitle')}
+      footer={
+        <p>
+          {t('account_no_account')}{' '}
+          <Link to={getLink(`/account/register${nextQuery}`)} className="text-green-600 font-medium hover:underline">
+            {t('account_register_link')}
+          </Link>
+        </p>
+      }
+    >
+      <form onSubmit={handleSubmit} noValidate className="space-y-5">
+        <div>
+          <label htmlFor="login-email" className="block text-gray-700 font-medium mb-2">{t('form_email')}</label>
+          <input
+            id="login-email"
+            name="email"
+            type="email"
+            autoComplete="email"
+            value={form.email}
+            onChange={handleChange}
+            className={inputClass('email')}
+          />
+          {errors.email && <p className="text-sm text-red-600 mt-1">{errorText('email')}</p>}
+        </div>
+
+        <div>
+          <div className="flex justify-between items-baseline mb-2">
+            <label htmlFor="login-password" className="block text-gray-700 font-medium">{t('account_password')}</label>
+            <Link to={getLink('/account/forgot-password')} className="text-sm text-green-600 hover:underline">
+              {t('account_forgot_link')}
+            </Link>
+          </div>
+          <input
+            id="login-password"
+            name="password"
+            type="password"
+            autoComplete="current-password"
+            value={form.password}
+            onChange={handleChange}
+            className={inputClass('password')}
+          />
+          {errors.password && <p className="text-sm text-red-600 mt-1">{errorText('password')}</p>}
+        </div>
+
+        {status === 'invalid' && (
+          <p className="text-sm text-red-600" role="alert">{t('account_error_credentials')}</p>
+        )}
+        {status === 'error' && (
+          <p className="text-sm text-red-600" role="alert">{t('account_error_generic')}</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={status === 'sending'}
+          className="bg-green-600 text-white px-6 py-3 rounded-lg w-full hover:bg-green-700 transition disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {status === 'sending' ? t('account_signing_in') : t('account_login_button')}
+        </button>
+      </form>
+    </AccountShell>
+  );
+}
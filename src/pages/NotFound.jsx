@@ -0,0 +1,51 @@
+import React, { useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useParams, Link } from 'react-router-dom';
+import Seo from '../components/Seo';
+
+// 404 — unknown routes, aur CarDetail jab car na mile / unpublished ho
+export default function NotFound({ car = false }) {
+  const { t, i18n } = useTranslation();
+  const { lng } = useParams();
+
+  // Normalize language to 'en' or 'ja'
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+
+  // Language set kar URL se
+  useEffect(() => {
+    if (lng && ['en', 'ja'].includes(lng)) {
+      i18n.changeLanguage(lng);
+    }
+  }, [lng, i18n]);
+
+  // Helper to generate language-prefixed links
+  const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-6">
+      <Seo title={t(car ? 'not_found_car_title' : 'not_found_title')} noindex />
+
+      <div className="text-center max-w-lg">
+        <p className="text-6xl font-extrabold text-green-700 mb-4">404</p>
+        <h1 className="text-2xl font-bold text-gray-800 mb-3">
+          {t(car ? 'not_found_car_title' : 'not_found_title')}
+        </h1>
+        <p className="text-gray-600 mb-8">{t(car ? 'not_found_car_text' : 'not_found_text')}</p>
+        <div className="flex flex-col sm:flex-row gap-3 justify-center">
+          <Link
+            to={getLink('/cars')}
+            className="px-5 py-3 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700"
+          >
+            {t('browse_cars')}
+          </Link>
+          <Link
+            to={getLink('/')}
+            className="px-5 py-3 border border-green-600 text-green-700 rounded-lg font-semibold hover:bg-green-50"
+          >
+            {t('not_found_home')}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
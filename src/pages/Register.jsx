@@ -0,0 +1,142 @@
+import React from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import AccountShell from '../components/AccountShell';
+import { register } from '../api';
+import { MIN_PASSWORD_LENGTH, safeNextPath, validateRegister } from '../utils/account';
+import { signIn } from '../utils/auth';
+import { useCurrency } from '../utils/currency';
+
+const EMPTY_FORM = { name: '', email: '', password: '', confirm: '', country: '' };
+
+export default function Register() {
+  const { t, i18n } = useTranslation();
+  const { lng } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { currency } = useCurrency();
+
+  const [form, setForm] = React.useState(EMPTY_FORM);
+  const [errors, setErrors] = React.useState({});
+  const [status, setStatus] = React.useState('idle'); // idle | sending | confirm_email | error
+
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+
+  // Language set kar URL se
+  React.useEffect(() => {
+    if (lng && ['en', 'ja'].includes(lng)) i18n.changeLanguage(lng);
+    else i18n.changeLanguage('ja');
+  }, [lng, i18n]);
+
+  const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
+  const next = safeNextPath(searchParams.get('next'), getLink('/account'));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateRegister(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setStatus('sending');
+    try {
+      // Abhi jo currency chuni hai wahi account ki preferred currency
+      const session = await register({ ...form, currency });
+      // Admin mein email confirmation on ho to jwt nahi milta
+      if (!session.jwt) {
+        setStatus('confirm_email');
+        return;
+      }
+      signIn(session);
+      navigate(next, { replace: true });
+    } catch (err) {
+      console.error('Register error:', err);
+      // Strapi ka apna message — email pehle se registered
+      if (err.kind === 'validation' && /already taken/i.test(err.message)) {
+        setErrors({ email: 'taken' });
+        setStatus('idle');
+        return;
+      }
+      setStatus('error');
+    }
+  };
+
+  const errorText = (field) =>
+    errors[field]
+      ? t([`form_error_${field}_${errors[field]}`, `form_error_${errors[field]}`], { min: MIN_PASSWORD_LENGTH })
+      : null;
+
+  const inputClass = (field) =>
+    `w-full border rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-green-500 ${
+      errors[field] ? 'border-red-500' : 'border-gray-300'
+    }`;
+
+  if (status === 'confirm_email') {
+    return (
+      <AccountShell title={t('account_register_title')}>
+        <p className="text-gray-700" role="status">{t('account_confirm_email', { email: form.email.trim() })}</p>
+      </AccountShell>
+    );
+  }
+
+  const fields = [
+    { name: 'name', type: 'text', label: t('form_name'), autoComplete: 'name' },
+    { name: 'email', type: 'email', label: t('form_email'), autoComplete: 'email' },
+    { name: 'password', type: 'password', label: t('account_password'), autoComplete: 'new-password' },
+    { name: 'confirm', type: 'password', label: t('account_password_confirm'), autoComplete: 'new-password' },
+    { name: 'country', type: 'text', label: t('account_country_optional'), autoComplete: 'country-name' },
+  ];
+
+  return (
+    <AccountShell
+      title={t('account_register_title')}
+      subtitle={t('account_register_subtitle')}
+      footer={
+        <p>
+          {t('account_have_account')}{' '}
+          <Link to={getLink('/account/login')} className="text-green-600 font-medium hover:underline">
+            {t('account_login_link')}
+          </Link>
+        </p>
+      }
+    >
+      <form onSubmit={handleSubmit} noValidate className="space-y-5">
+        {fields.map((field) => (
+          <div key={field.name}>
+            <label htmlFor={`register-${field.name}`} className="block text-gray-700 font-medium mb-2">
+              {field.label}
+            </label>
+            <input
+              id={`register-${field.name}`}
+              name={field.name}
+              type={field.type}
+              autoComplete={field.autoComplete}
+              value={form[field.name]}
+              onChange={handleChange}
+              className={inputClass(field.name)}
+            />
+            {errors[field.name] && <p className="text-sm text-red-600 mt-1">{errorText(field.name)}</p>}
+          </div>
+        ))}
+
+        {status === 'error' && (
+          <p className="text-sm text-red-600" role="alert">{t('account_error_generic')}</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={status === 'sending'}
+          className="bg-green-600 text-white px-6 py-3 rounded-lg w-full hover:bg-green-700 transition disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {status === 'sending' ? t('form_sending') : t('account_register_button')}
+        </button>
+      </form>
+    </AccountShell>
+  );
+}
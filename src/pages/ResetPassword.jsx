@@ -0,0 +1,130 @@
+import React from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import AccountShell from '../components/AccountShell';
+import { resetPassword } from '../api';
+import { MIN_PASSWORD_LENGTH, validatePasswordReset } from '../utils/account';
+import { signIn } from '../utils/auth';
+
+export default function ResetPassword() {
+  const { t, i18n } = useTranslation();
+  const { lng } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // Strapi ki email ka link: /account/reset-password?code=...
+  const code = searchParams.get('code');
+
+  const [form, setForm] = React.useState({ password: '', confirm: '' });
+  const [errors, setErrors] = React.useState({});
+  const [status, setStatus] = React.useState('idle'); // idle | sending | invalid_code | error
+
+  const currentLanguage = i18n.language.startsWith('ja') ? 'ja' : 'en';
+
+  // Language set kar URL se
+  React.useEffect(() => {
+    if (lng && ['en', 'ja'].includes(lng)) i18n.changeLanguage(lng);
+    else i18n.changeLanguage('ja');
+  }, [lng, i18n]);
+
+  const getLink = (path) => `/${currentLanguage}${path === '/' ? '' : path}`;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validatePasswordReset(form);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setStatus('sending');
+    try {
+      // Naya password set hote hi login bhi
+      signIn(await resetPassword({ code, password: form.password, passwordConfirmation: form.confirm }));
+      navigate(getLink('/account'), { replace: true });
+    } catch (err) {
+      console.error('Reset password error:', err);
+      // Code ek hi baar chalta hai — purana / galat link
+      setStatus(err.kind === 'validation' ? 'invalid_code' : 'error');
+    }
+  };
+
+  const errorText = (field) =>
+    errors[field]
+      ? t([`form_error_${field}_${errors[field]}`, `form_error_${errors[field]}`], { min: MIN_PASSWORD_LENGTH })
+      : null;
+
+  const inputClass = (field) =>
+    `w-full border rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-green-500 ${
+      errors[field] ? 'border-red-500' : 'border-gray-300'
+    }`;
+
+  const requestNewLink = (
+    <Link to={getLink('/account/forgot-password')} className="text-green-600 font-medium hover:underline">
+      {t('account_reset_new_link')}
+    </Link>
+  );
+
+  if (!code) {
+    return (
+      <AccountShell title={t('account_reset_title')} footer={<p>{requestNewLink}</p>}>
+        <p className="text-gray-700">{t('account_reset_invalid')}</p>
+      </AccountShell>
+    );
+  }
+
+  return (
+    <AccountShell title={t('account_reset_title')} subtitle={t('account_reset_subtitle')}>
+      <form onSubmit={handleSubmit} noValidate className="space-y-5">
+        <div>
+          <label htmlFor="reset-password" className="block text-gray-700 font-medium mb-2">{t('account_password_new')}</label>
+          <input
+            id="reset-password"
+            name="password"
+            type="password"
+            autoComplete="new-password"
+            value={form.password}
+            onChange={handleChange}
+            className={inputClass('password')}
+          />
+          {errors.password && <p className="text-sm text-red-600 mt-1">{errorText('password')}</p>}
+        </div>
+
+        <div>
+          <label htmlFor="reset-confirm" className="block text-gray-700 font-medium mb-2">{t('account_password_confirm')}</label>
+          <input
+            id="reset-confirm"
+            name="confirm"
+            type="password"
+            autoComplete="new-password"
+            value={form.confirm}
+            onChange={handleChange}
+            className={inputClass('confirm')}
+          />
+          {errors.confirm && <p className="text-sm text-red-600 mt-1">{errorText('confirm')}</p>}
+        </div>
+
+        {status === 'invalid_code' && (
+          <p className="text-sm text-red-600" role="alert">
+            {t('account_reset_invalid')} {requestNewLink}
+          </p>
+        )}
+        {status === 'error' && (
+          <p className="text-sm text-red-600" role="alert">{t('account_error_generic')}</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={status === 'sending'}
+          className="bg-green-600 text-white px-6 py-3 rounded-lg w-full hover:bg-green-700 transition disabled:opacity-60 disabled:cursor-not-allowed"
+        >
+          {status === 'sending' ? t('form_sending') : t('account_reset_button')}
+        </button>
+      </form>
+    </AccountShell>
+  );
+}
@@ -0,0 +1,68 @@
+// src/utils/account.js
+// Account forms (login, register, profile, password reset) — client-side checks
+// (profile ke rules Strapi src/api/profile controller jaise hi)
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const WHATSAPP_PATTERN = /^\+?[\d\s()-]{6,40}$/;
+export const MIN_PASSWORD_LENGTH = 8;
+
+const checkEmail = (errors, value) => {
+  const email = value?.trim() || '';
+  if (!email) errors.email = 'required';
+  else if (!EMAIL_PATTERN.test(email)) errors.email = 'invalid';
+};
+
+const checkNewPassword = (errors, { password, confirm }) => {
+  if (!password) errors.password = 'required';
+  else if (password.length < MIN_PASSWORD_LENGTH) errors.password = 'too_short';
+  if (confirm !== undefined && confirm !== password) errors.confirm = 'mismatch';
+};
+
+const checkProfile = (errors, data) => {
+  const name = data.name?.trim() || '';
+  const whatsapp = data.whatsapp?.trim() || '';
+
+  if (!name) errors.name = 'required';
+  else if (name.length > 100) errors.name = 'too_long';
+
+  if ((data.country?.trim() || '').length > 60) errors.country = 'too_long';
+  if (whatsapp && !WHATSAPP_PATTERN.test(whatsapp)) errors.whatsapp = 'invalid';
+};
+
+// Sab validators { field: errorCode } dete hain — khali object = valid
+export const validateLogin = (data) => {
+  const errors = {};
+  checkEmail(errors, data.email);
+  if (!data.password) errors.password = 'required';
+  return errors;
+};
+
+export const validateRegister = (data) => {
+  const errors = {};
+  checkProfile(errors, data);
+  checkEmail(errors, data.email);
+  checkNewPassword(errors, data);
+  return errors;
+};
+
+export const validateForgotPassword = (data) => {
+  const errors = {};
+  checkEmail(errors, data.email);
+  return errors;
+};
+
+export const validatePasswordReset = (data) => {
+  const errors = {};
+  checkNewPassword(errors, data);
+  return errors;
+};
+
+export const validateProfile = (data) => {
+  const errors = {};
+  checkProfile(errors, data);
+  return errors;
+};
+
+// Login ke baad ?next= par wapas — sirf apni site ke paths (open redirect nahi)
+export const safeNextPath = (next, fallback) =>
+  next && next.startsWith('/') && !next.startsWith('//') ? next : fallback;
@@ -0,0 +1,83 @@
+// src/utils/auth.js
+// Buyer ka login session ({ jwt, user }) — localStorage mein, API client ko token yahin se milta hai
+import { useSyncExternalStore } from 'react';
+import { onAuthExpired, setAuthToken } from '../api';
+import { setCurrency } from './currency';
+import { clearFavorites, syncFavorites } from './favorites';
+
+const STORAGE_KEY = 'auth';
+
+const readStoredSession = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return stored?.jwt && stored.user ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+let session = typeof window === 'undefined' ? null : readStoredSession();
+setAuthToken(session?.jwt);
+const listeners = new Set();
+
+const writeSession = (next) => {
+  session = next;
+  setAuthToken(next?.jwt);
+  try {
+    if (next) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Storage band — sirf is tab ke liye login
+  }
+  listeners.forEach((listener) => listener());
+};
+
+export const signOut = () => {
+  writeSession(null);
+  clearFavorites();
+};
+
+// Token expire ho gaya (client ko 401 mila)
+onAuthExpired(signOut);
+
+// App start par pehle se logged in — doosre device par save hui cars bhi le aao
+if (session) syncFavorites();
+
+// Doosre tab mein login / logout hua to yahan bhi
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    session = readStoredSession();
+    setAuthToken(session?.jwt);
+    listeners.forEach((listener) => listener());
+  });
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * login / register / resetPassword ke { jwt, user } ke baad:
+ * session save, account ki currency lagao, aur is device ki shortlist server se milao.
+ */
+export const signIn = ({ jwt, user }) => {
+  writeSession({ jwt, user });
+  setCurrency(user.currency);
+  syncFavorites();
+};
+
+// Profile save hone ke baad Navbar waghera mein naya naam
+export const updateSessionUser = (user) => {
+  if (session) writeSession({ ...session, user });
+};
+
+/**
+ * const { user, isLoggedIn } = useAuth();
+ * Server/hydration par hamesha logged out — phir stored session.
+ */
+export function useAuth() {
+  const current = useSyncExternalStore(subscribe, () => session, () => null);
+  return { user: current?.user || null, isLoggedIn: Boolean(current) };
+}
@@ -0,0 +1,92 @@
+// src/utils/carFilters.js
+// Cars page filters: URL search params <-> filter object <-> Strapi `filters`
+import { SOLD_STATUSES } from './saleStatus';
+
+// Multi-select facets: URL param -> Strapi attribute
+export const VALUE_FACETS = {
+  category: 'category',
+  maker: 'maker',
+  transmission: 'transmission_type',
+  prefecture: 'prefecture',
+};
+
+// Range facets: URL params -> Strapi attribute
+export const RANGE_FACETS = {
+  year: { min: 'yearMin', max: 'yearMax', field: 'year' },
+  price: { min: 'priceMin', max: 'priceMax', field: 'price' },
+};
+
+export const SHAKEN_VALUES = ['valid', 'expired', 'none'];
+
+// Every URL param owned by the filter sidebar (used by "clear all")
+export const FILTER_PARAMS = [
+  ...Object.keys(VALUE_FACETS),
+  ...Object.values(RANGE_FACETS).flatMap(({ min, max }) => [min, max]),
+  'shaken',
+  'hideSold',
+];
+
+const toNumber = (value) => {
+  const num = parseInt(value, 10);
+  return Number.isNaN(num) ? null : num;
+};
+
+// URLSearchParams -> { category: [...], yearMin: 2000, shaken: 'valid', ... }
+export const readFilters = (searchParams) => {
+  const filters = {};
+
+  Object.keys(VALUE_FACETS).forEach((param) => {
+    const value = searchParams.get(param);
+    filters[param] = value ? value.split(',').filter(Boolean) : [];
+  });
+
+  Object.values(RANGE_FACETS).forEach(({ min, max }) => {
+    filters[min] = toNumber(searchParams.get(min));
+    filters[max] = toNumber(searchParams.get(max));
+  });
+
+  const shaken = searchParams.get('shaken');
+  filters.shaken = SHAKEN_VALUES.includes(shaken) ? shaken : null;
+
+  filters.hideSold = searchParams.get('hideSold') === '1';
+
+  return filters;
+};
+
+// Filter object (+ search text) -> Strapi REST `filters` param
+export const toStrapiFilters = (filters, query) => {
+  const strapiFilters = {};
+
+  if (query) strapiFilters.title = { $containsi: query };
+
+  Object.entries(VALUE_FACETS).forEach(([param, field]) => {
+    if (filters[param]?.length) strapiFilters[field] = { $in: filters[param] };
+  });
+
+  Object.values(RANGE_FACETS).forEach(({ min, max, field }) => {
+    const range = {};
+    if (filters[min] !== null) range.$gte = filters[min];
+    if (filters[max] !== null) range.$lte = filters[max];
+    if (Object.keys(range).length) strapiFilters[field] = range;
+  });
+
+  if (filters.shaken) {
+    const today = new Date().toISOString().slice(0, 10);
+    strapiFilters.shaken_valid_until = {
+      valid: { $gte: today },
+      expired: { $lt: today },
+      none: { $null: true },
+    }[filters.shaken];
+  }
+
+  if (filters.hideSold) strapiFilters.sale_status = { $notIn: SOLD_STATUSES };
+
+  return strapiFilters;
+};
+
+// Kitne filters lage hain (mobile "Filters (3)" button ke liye)
+export const countActiveFilters = (filters) =>
+  Object.keys(VALUE_FACETS).reduce((sum, param) => sum + filters[param].length, 0) +
+  Object.values(RANGE_FACETS).filter(({ min, max }) => filters[min] !== null || filters[max] !== null).length +
+  (filters.shaken ? 1 : 0) +
+  (filters.hideSold ? 1 : 0);
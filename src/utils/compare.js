@@ -0,0 +1,61 @@
+// src/utils/compare.js
+// Compare tray ki cars (max 4) — sessionStorage, comparison ek browsing session ka kaam hai
+import { useSyncExternalStore } from 'react';
+
+const STORAGE_KEY = 'compare';
+export const MAX_COMPARE = 4;
+const EMPTY = [];
+
+// Tray ko title/photo chahiye, isliye sirf id nahi — { documentId, title, image }
+const readStoredItems = () => {
+  try {
+    const stored = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter((item) => item?.documentId).slice(0, MAX_COMPARE) : EMPTY;
+  } catch {
+    return EMPTY;
+  }
+};
+
+let items = typeof window === 'undefined' ? EMPTY : readStoredItems();
+const listeners = new Set();
+
+const writeItems = (next) => {
+  items = next;
+  try {
+    window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch {
+    // Storage band — page reload tak
+  }
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const toggleCompare = (car) => {
+  if (items.some((item) => item.documentId === car.documentId)) {
+    writeItems(items.filter((item) => item.documentId !== car.documentId));
+    return;
+  }
+  if (items.length >= MAX_COMPARE) return;
+  writeItems([...items, { documentId: car.documentId, title: car.title, image: car.cover?.url || null }]);
+};
+
+export const removeFromCompare = (documentId) => writeItems(items.filter((item) => item.documentId !== documentId));
+
+export const clearCompare = () => writeItems(EMPTY);
+
+/**
+ * const { items, isComparing, isFull } = useCompare();
+ * Server/hydration par khali — phir sessionStorage wali.
+ */
+export function useCompare() {
+  const list = useSyncExternalStore(subscribe, () => items, () => EMPTY);
+  return {
+    items: list,
+    isComparing: (documentId) => list.some((item) => item.documentId === documentId),
+    isFull: list.length >= MAX_COMPARE,
+  };
+}
@@ -0,0 +1,60 @@
+// src/utils/currency.js
+// Visitor ki display currency (Navbar switcher) — localStorage mein yaad rehti hai
+import { useSyncExternalStore } from 'react';
+import { CURRENCIES, fetchExchangeRates, useQuery } from '../api';
+
+// Stock prices isi mein hain; pre-render bhi isi mein hota hai
+export const BASE_CURRENCY = 'JPY';
+
+const STORAGE_KEY = 'currency';
+// Rates din mein ek-do baar badalte hain
+const RATES_STALE_TIME = 60 * 60 * 1000;
+
+const readStoredCurrency = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return CURRENCIES.includes(stored) ? stored : BASE_CURRENCY;
+  } catch {
+    return BASE_CURRENCY; // Private mode / storage band
+  }
+};
+
+let currentCurrency = typeof window === 'undefined' ? BASE_CURRENCY : readStoredCurrency();
+const listeners = new Set();
+
+export const setCurrency = (currency) => {
+  if (!CURRENCIES.includes(currency)) return;
+  currentCurrency = currency;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, currency);
+  } catch {
+    // Sirf is tab ke liye yaad rahegi
+  }
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * const { currency, rates } = useCurrency();
+ * formatPrice(car.price, { t, language, currency, rates })
+ *
+ * Server/hydration par hamesha JPY — phir stored currency (React khud re-render karta hai).
+ * Rates sirf tab fetch hote hain jab JPY ke ilawa currency chuni ho.
+ */
+export function useCurrency() {
+  const currency = useSyncExternalStore(subscribe, () => currentCurrency, () => BASE_CURRENCY);
+  const ratesQuery = useQuery(['exchangeRates'], () => fetchExchangeRates(), {
+    enabled: currency !== BASE_CURRENCY,
+    staleTime: RATES_STALE_TIME,
+  });
+
+  return {
+    currency,
+    rates: ratesQuery.data?.rates || null,
+    ratesUpdatedAt: ratesQuery.data?.updatedAt || null,
+  };
+}
@@ -0,0 +1,135 @@
+// src/utils/favorites.js
+// Buyer ki shortlist (car documentIds) — localStorage mein; login ho to server par bhi
+import { useSyncExternalStore } from 'react';
+import { fetchFavorites, getAuthToken, saveFavorites } from '../api';
+
+const STORAGE_KEY = 'favorites';
+const EMPTY = [];
+
+const readStoredFavorites = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter((id) => typeof id === 'string') : EMPTY;
+  } catch {
+    return EMPTY;
+  }
+};
+
+let favorites = typeof window === 'undefined' ? EMPTY : readStoredFavorites();
+const listeners = new Set();
+const emit = () => listeners.forEach((listener) => listener());
+
+const writeFavorites = (next) => {
+  favorites = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch {
+    // Storage band — sirf is tab ke liye
+  }
+  emit();
+};
+
+// Aakhri server sync ki error — UI (useFavorites) dikhata hai, agla safal sync saaf karta hai
+let syncError = null;
+
+const setSyncError = (error) => {
+  if (syncError === error) return;
+  syncError = error;
+  emit();
+};
+
+// Login ho to har badlav server par bhi — fail ho to local list phir bhi rehti hai.
+// Ek waqt mein ek hi PUT; beech mein jitne bhi toggle hon, agli baar sirf latest list
+// jaati hai — purani request baad mein khatam ho kar nayi list overwrite na kare.
+let pushing = false;
+let pendingPush = null;
+
+const flushPush = async () => {
+  pushing = true;
+  while (pendingPush) {
+    const next = pendingPush;
+    pendingPush = null;
+    // Beech mein logout ho gaya to nahi bhejna
+    if (!getAuthToken()) continue;
+    try {
+      await saveFavorites(next);
+      setSyncError(null);
+    } catch (err) {
+      setSyncError(err);
+    }
+  }
+  pushing = false;
+};
+
+const pushToServer = (next) => {
+  if (!getAuthToken()) return;
+  pendingPush = next;
+  if (!pushing) flushPush();
+};
+
+// Doosre tab mein heart dabaya to yahan bhi update
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    favorites = readStoredFavorites();
+    emit();
+  });
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const toggleFavorite = (documentId) => {
+  const next = favorites.includes(documentId)
+    ? favorites.filter((id) => id !== documentId)
+    : [...favorites, documentId];
+  writeFavorites(next);
+  pushToServer(next);
+};
+
+export const removeFavorites = (documentIds) => {
+  const next = favorites.filter((id) => !documentIds.includes(id));
+  writeFavorites(next);
+  pushToServer(next);
+};
+
+// Logout par — shared device par agla visitor pichle buyer ki list na dekhe (server wali list rehti hai)
+export const clearFavorites = () => {
+  pendingPush = null;
+  syncError = null;
+  writeFavorites(EMPTY);
+};
+
+/**
+ * Login ke baad (aur app start par agar session pehle se ho) chalao: is device ki (anonymous) list server wali list mein
+ * mila kar dono jagah save — kisi device ka shortlist gum nahi hota. Reject nahi karta;
+ * fetch fail ho to useFavorites().syncError set hota hai.
+ */
+export const syncFavorites = async () => {
+  if (!getAuthToken()) return;
+  let server;
+  try {
+    server = await fetchFavorites();
+  } catch (err) {
+    // 401 par signOut pehle hi list saaf kar chuka — tab dikhane layak kuch nahi
+    if (getAuthToken()) setSyncError(err);
+    return;
+  }
+  setSyncError(null);
+  const merged = [...new Set([...server, ...favorites])];
+  writeFavorites(merged);
+  if (merged.length !== server.length) pushToServer(merged);
+};
+
+/**
+ * const { favorites, isFavorite, syncError } = useFavorites();
+ * Server/hydration par khali list — phir localStorage wali. `syncError` tab
+ * set hai jab list account mein save nahi ho payi (device par phir bhi hai).
+ */
+export function useFavorites() {
+  const list = useSyncExternalStore(subscribe, () => favorites, () => EMPTY);
+  const error = useSyncExternalStore(subscribe, () => syncError, () => null);
+  return { favorites: list, isFavorite: (documentId) => list.includes(documentId), syncError: error };
+}
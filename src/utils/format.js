@@ -0,0 +1,28 @@
+// src/utils/format.js
+// Display formatting shared by the car pages
+
+// 80000 -> "80,000 km"
+export const formatMileage = (mileage) => {
+  if (!mileage) return 'N/A km';
+  return `${Number(mileage).toLocaleString()} km`;
+};
+
+// "2025-03-14T…" -> "Mar 2025" / "2025年3月"
+export const formatMonth = (date, language) => {
+  if (!date) return '';
+  return new Intl.DateTimeFormat(language === 'ja' ? 'ja-JP' : 'en-US', {
+    year: 'numeric',
+    month: 'short',
+  }).format(new Date(date));
+};
+
+// "2025-03-14T…" -> "Mar 14, 2025" / "2025/03/14"
+// Strapi `date` fields ("2025-03-14") UTC midnight hote hain — UTC mein hi format, warna peeche ke timezones mein ek din kam
+export const formatDate = (date, language) => {
+  if (!date) return '';
+  const dateOnly = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date);
+  return new Intl.DateTimeFormat(language === 'ja' ? 'ja-JP' : 'en-US', {
+    dateStyle: 'medium',
+    timeZone: dateOnly ? 'UTC' : undefined,
+  }).format(new Date(date));
+};
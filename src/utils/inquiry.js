@@ -0,0 +1,34 @@
+// src/utils/inquiry.js
+// Inquiry form helpers — same rules as the Strapi inquiry controller
+// (submit: src/api/inquiries.js)
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Buyer intent options on the car detail inquiry form
+export const INQUIRY_INTENTS = ['local_purchase', 'export', 'inspection_visit'];
+
+// Returns { field: errorCode } — empty object means valid
+export const validateInquiry = (data) => {
+  const errors = {};
+  const name = data.name?.trim() || '';
+  const email = data.email?.trim() || '';
+  const message = data.message?.trim() || '';
+
+  if (!name) errors.name = 'required';
+  else if (name.length > 100) errors.name = 'too_long';
+
+  if (!email) errors.email = 'required';
+  else if (!EMAIL_PATTERN.test(email)) errors.email = 'invalid';
+
+  if (data.phone && !/^[\d\s+()-]{6,40}$/.test(data.phone.trim())) errors.phone = 'invalid';
+
+  if (!message) errors.message = 'required';
+  else if (message.length < 10) errors.message = 'too_short';
+  else if (message.length > 2000) errors.message = 'too_long';
+
+  if (data.intent && data.intent !== 'general' && !INQUIRY_INTENTS.includes(data.intent)) {
+    errors.intent = 'invalid';
+  }
+
+  return errors;
+};
@@ -0,0 +1,21 @@
+// src/utils/landedCost.js
+// Export landed cost (Incoterms) — CarDetail ka CIF estimator
+
+// Marine cargo insurance conventionally covers CIF value + 10%
+const INSURED_VALUE_FACTOR = 1.1;
+
+/**
+ * FOB   = vehicle price + export handling (inland transport, customs, port charges)
+ * CIF   = FOB + ocean freight + insurance
+ * Sab JPY mein; `rate` src/api fetchFreightRates ki ek row.
+ */
+export const estimateCif = ({ price, rate }) => {
+  const fob = price + rate.exportHandling;
+  const insurance = Math.round(((fob + rate.freight) * INSURED_VALUE_FACTOR * rate.insurancePercent) / 100);
+  return {
+    fob,
+    freight: rate.freight,
+    insurance,
+    cif: fob + rate.freight + insurance,
+  };
+};
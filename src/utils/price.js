@@ -0,0 +1,76 @@
+// src/utils/price.js
+// Car price (src/api normalizeCar `price`) -> display text, language ke hisaab se
+
+const NUMBER_LOCALES = { ja: 'ja-JP', en: 'en-US' };
+
+// 2100000 JPY -> "¥2,100,000" (en) / "2,100,000円" (ja) — asking price hamesha poora, round nahi
+export const formatAmount = (amount, currency, language) => {
+  if (language === 'ja' && currency === 'JPY') {
+    return `${new Intl.NumberFormat('ja-JP', { maximumFractionDigits: 0 }).format(amount)}円`;
+  }
+  return new Intl.NumberFormat(NUMBER_LOCALES[language] || NUMBER_LOCALES.en, {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: 0,
+  }).format(amount);
+};
+
+// Stock currency -> display currency; rate na ho to null (original dikhao)
+const convertPrice = (price, currency, rates) => {
+  if (!currency || currency === price.currency) return null;
+  // Rates yen per unit hain
+  if (price.currency !== 'JPY' || !rates?.[currency]) return null;
+  return price.amount / rates[currency];
+};
+
+/**
+ * "¥2,100,000 (tax incl.)" / "2,100,000円（税込）" — amount na ho to "ASK".
+ * `currency` + `rates` (useCurrency) hon to "approx. $14,000 (tax incl.)".
+ * Negotiable flag alag dikhaya jata hai (formatPriceNote).
+ */
+export const formatPrice = (price, { t, language, currency, rates }) => {
+  if (!price?.amount) return t('price_ask');
+  const converted = convertPrice(price, currency, rates);
+  const amount = converted === null
+    ? formatAmount(price.amount, price.currency, language)
+    : formatAmount(converted, currency, language);
+  const label = t(price.taxIncluded ? 'price_tax_included' : 'price_tax_excluded', { amount });
+  return converted === null ? label : t('price_approx', { price: label });
+};
+
+// 1234567 -> "123万4,567円", 123456789 -> "1億2,345万6,789円" — bina rounding ke
+const formatManYen = (amount) => {
+  const yen = Math.round(amount);
+  const group = (value) => value.toLocaleString('ja-JP');
+  const oku = Math.floor(yen / 1e8);
+  const man = Math.floor((yen % 1e8) / 1e4);
+  const rest = yen % 1e4;
+  return [oku && `${group(oku)}億`, man && `${group(man)}万`, rest && group(rest)]
+    .filter(Boolean)
+    .join('') + '円';
+};
+
+// Japanese page par yen price ke saath 万 form hint — sirf ja + yen display mein, 1万 se upar
+export const formatPriceHint = (price, { language, currency, rates }) => {
+  if (language !== 'ja' || !price?.amount || price.currency !== 'JPY') return null;
+  if (convertPrice(price, currency, rates) !== null || price.amount < 1e4) return null;
+  return formatManYen(price.amount);
+};
+
+// Converted price ke neeche asli yen price — conversion na hui ho to null
+export const formatOriginalPrice = (price, { t, language, currency, rates }) => {
+  if (!price?.amount || convertPrice(price, currency, rates) === null) return null;
+  return formatPrice(price, { t, language });
+};
+
+// "Negotiable" — ASK prices ke saath nahi, woh khud hi "contact us" hain
+export const formatPriceNote = (price, { t }) =>
+  price?.amount && price.negotiable ? t('price_negotiable') : null;
+
+// Plain yen amount (CIF estimator rows) -> display currency, convert hua to "approx."
+export const formatYen = (amount, { t, language, currency, rates }) => {
+  const converted = convertPrice({ amount, currency: 'JPY' }, currency, rates);
+  return converted === null
+    ? formatAmount(amount, 'JPY', language)
+    : t('price_approx', { price: formatAmount(converted, currency, language) });
+};
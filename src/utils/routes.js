@@ -0,0 +1,3 @@
+// src/utils/routes.js
+// Car detail URL — slug canonical hai, purani cars (slug ke bina) documentId par
+export const carPath = (car) => `/cars/${car.slug || car.documentId}`;
@@ -0,0 +1,18 @@
+// src/utils/saleStatus.js
+// Car sale status (Strapi `sale_status`) — ribbons, hide-sold filter, JSON-LD availability
+
+export const SALE_STATUSES = ['available', 'reserved', 'under_negotiation', 'sold', 'exported'];
+
+// In statuses ke baad car bikne ke liye nahi hai
+export const SOLD_STATUSES = ['sold', 'exported'];
+
+export const isSold = (car) => SOLD_STATUSES.includes(car.saleStatus);
+
+// sale_status -> schema.org ItemAvailability
+export const SCHEMA_AVAILABILITY = {
+  available: 'https://schema.org/InStock',
+  reserved: 'https://schema.org/Reserved',
+  under_negotiation: 'https://schema.org/LimitedAvailability',
+  sold: 'https://schema.org/SoldOut',
+  exported: 'https://schema.org/SoldOut',
+};
@@ -0,0 +1,64 @@
+// src/utils/seo.js
+// Absolute URLs + schema.org JSON-LD for the <Seo> component
+import { SCHEMA_AVAILABILITY } from './saleStatus';
+
+// Canonical/OG URLs absolute hone chahiye — pre-render (scripts/prerender.js) ke
+// waqt VITE_SITE_URL zaroori hai, browser mein current origin fallback hai
+export const SITE_URL = (
+  import.meta.env.VITE_SITE_URL || (typeof window !== 'undefined' ? window.location.origin : '')
+).replace(/\/$/, '');
+
+export const LANGUAGES = ['ja', 'en'];
+export const DEFAULT_LANGUAGE = 'ja';
+
+export const absoluteUrl = (path) => `${SITE_URL}${path}`;
+
+// JSON inside <script> — `</script>` data se tag band na kare
+export const serializeJsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+/**
+ * schema.org Vehicle + Offer for a CarDetail page (Car model from src/api).
+ * Khali fields chhod diye jate hain.
+ */
+export const vehicleJsonLd = ({ car, url, sellerName }) => {
+  const detail = car.detail || {};
+  const quantity = (value, unitCode) => (value ? { '@type': 'QuantitativeValue', value, unitCode } : undefined);
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Vehicle',
+    name: car.title,
+    url,
+    image: car.media.filter((file) => !file.mime?.startsWith('video/')).map((file) => file.url),
+    description: detail.description || detail.condition || undefined,
+    brand: car.maker ? { '@type': 'Brand', name: car.maker } : undefined,
+    vehicleModelDate: car.year ? String(car.year) : undefined,
+    mileageFromOdometer: quantity(car.mileage, 'KMT'),
+    vehicleTransmission: detail.transmission || undefined,
+    fuelType: detail.fuel || undefined,
+    vehicleIdentificationNumber: detail.chassisNumber || undefined,
+    model: detail.modelCode || undefined,
+    weight: quantity(detail.weightKg, 'KGM'),
+    vehicleEngine: detail.engineCc
+      ? { '@type': 'EngineSpecification', engineDisplacement: quantity(detail.engineCc, 'CMQ') }
+      : undefined,
+    itemCondition: 'https://schema.org/UsedCondition',
+    offers: {
+      '@type': 'Offer',
+      url,
+      price: car.price.amount || undefined,
+      priceCurrency: car.price.currency,
+      priceSpecification: car.price.amount
+        ? {
+            '@type': 'UnitPriceSpecification',
+            price: car.price.amount,
+            priceCurrency: car.price.currency,
+            valueAddedTaxIncluded: car.price.taxIncluded,
+          }
+        : undefined,
+      availability: SCHEMA_AVAILABILITY[car.saleStatus] || SCHEMA_AVAILABILITY.available,
+      itemCondition: 'https://schema.org/UsedCondition',
+      seller: { '@type': 'Organization', name: sellerName },
+    },
+  };
+};